@@ -0,0 +1,58 @@
+// ================================
+// ACCOUNT SECURITY SETTINGS
+// ================================
+// Login token lifetimes, two-factor login and the one-time links sent by email
+
+// Access tokens (sent with every request) expire quickly...
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+
+// ...and are renewed with the device's refresh token, valid this many days
+// since it was last used (a device unused for this long must log in again)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Password reset links work once, for this many minutes
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 30;
+
+// Email verification links work once, for this many hours
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+
+// A new verification email can be requested after this many seconds
+const VERIFICATION_RESEND_SECONDS = 60;
+
+/**
+ * TWO-FACTOR LOGIN (authenticator app codes, RFC 6238 TOTP)
+ * Staff accounts must turn it on before they can use staff routes;
+ * TWO_FACTOR_REQUIRED=false lifts that rule (local development only)
+ */
+const TWO_FACTOR_REQUIRED = process.env.TWO_FACTOR_REQUIRED !== 'false';
+
+// Name shown next to the account in the authenticator app
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Clean City Rewards';
+
+// A new 6-digit code every 30 seconds (what every authenticator app expects)
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+// Codes one step early or late still work (phone clock a little off)
+const TOTP_DRIFT_STEPS = 1;
+
+// One-time codes for when the phone is lost
+const RECOVERY_CODE_COUNT = 10;
+
+// Time allowed between the password and the code at login
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  PASSWORD_RESET_MINUTES,
+  EMAIL_VERIFICATION_HOURS,
+  VERIFICATION_RESEND_SECONDS,
+  TWO_FACTOR_REQUIRED,
+  TOTP_ISSUER,
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  TOTP_DRIFT_STEPS,
+  RECOVERY_CODE_COUNT,
+  TWO_FACTOR_LOGIN_MINUTES
+};
@@ -0,0 +1,15 @@
+// ================================
+// CLEANUP FEEDBACK SETTINGS
+// ================================
+// Reporters (and upvoters) confirm or dispute a cleanup
+
+// Feedback is accepted for this many days after the cleanup proof
+const FEEDBACK_WINDOW_DAYS = parseInt(process.env.CLEANUP_FEEDBACK_DAYS) || 7;
+
+// Reporter's follow-up bonus for confirming the cleanup (once per complaint)
+const CONFIRMATION_BONUS_POINTS = parseInt(process.env.CLEANUP_CONFIRM_BONUS) || 5;
+
+module.exports = {
+  FEEDBACK_WINDOW_DAYS,
+  CONFIRMATION_BONUS_POINTS
+};
@@ -4,6 +4,27 @@
 // This file connects our backend to MongoDB database
 
 const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * INDEX MIGRATION: email_1 must be sparse
+ * Databases created before phone login have a plain unique email index,
+ * which lets only one account without an email exist. Mongoose can't change
+ * an existing index, so drop it and build it again from the User schema.
+ */
+const migrateEmailIndex = async () => {
+  const users = mongoose.connection.collection('users');
+
+  // No users collection yet → nothing to migrate
+  const indexes = await users.indexes().catch(() => []);
+  const emailIndex = indexes.find(index => index.name === 'email_1');
+
+  if (!emailIndex || emailIndex.sparse) return;
+
+  await users.dropIndex('email_1');
+  await User.createIndexes();
+  console.log('🔧 Rebuilt users.email_1 index (sparse, for phone-only accounts)');
+};
 
 /**
  * Function to connect to MongoDB
@@ -23,6 +44,8 @@ const connectDB = async () => {
     
     // Log the database name we're using
     console.log(`📦 Database Name: ${conn.connection.name}`);
+
+    await migrateEmailIndex();
     
   } catch (error) {
     // If connection fails, show error and exit the application
@@ -40,7 +63,8 @@ module.exports = connectDB;
  * 2. Create a function that tries to connect to database
  * 3. If successful → log success message
  * 4. If fails → log error and stop the server
- * 5. Export function so main server file can call it
+ * 5. Fix indexes older databases were created with (email_1)
+ * 6. Export function so main server file can call it
  * 
  * BEGINNER TIP:
  * - async/await is used because database operations take time
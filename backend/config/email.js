@@ -0,0 +1,81 @@
+// ================================
+// EMAIL SETTINGS
+// ================================
+// Which events are emailed, how, and how hard we retry (see utils/email)
+
+const path = require('path');
+
+/**
+ * EMAIL EVENTS
+ * - optional: users can turn it off in their profile (emailPreferences)
+ * - transactional: always sent (the user asked for it)
+ * - secret: contains a one-time link, so the body is wiped once sent
+ */
+const EMAIL_EVENTS = {
+  complaint_approved: { optional: true },
+  complaint_rejected: { optional: true },
+  complaint_cleaned: { optional: true },
+  voucher_delivered: { optional: false },   // Contains the voucher code
+  password_reset: { optional: false, secret: true },
+  email_verification: { optional: false, secret: true }
+};
+
+const OPTIONAL_EMAIL_EVENTS = Object.keys(EMAIL_EVENTS).filter(event => EMAIL_EVENTS[event].optional);
+
+/**
+ * TRANSPORT
+ * - smtp: real mail server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - file: one .eml file per email in EMAIL_FILE_DIR (open it in any mail app)
+ * - console: printed in the server log
+ * Without SMTP_HOST we fall back to console, so nothing is sent by accident -
+ * except in production, where reset and verification links must not sit in logs or files.
+ */
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const DEV_EMAIL_TRANSPORTS = ['console', 'file'];
+
+if (process.env.NODE_ENV === 'production' && DEV_EMAIL_TRANSPORTS.includes(EMAIL_TRANSPORT)) {
+  throw new Error(`EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" is for development only - set SMTP_HOST (or EMAIL_TRANSPORT=smtp) in production`);
+}
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Clean City Rewards <no-reply@cleancity.local>';
+
+const SMTP = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',  // true for port 465
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS
+};
+
+const EMAIL_FILE_DIR = path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'outbox'));
+
+// Links in emails point to the frontend
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * QUEUE
+ * Failed sends are retried after 1, 2, 4, 8 ... minutes, then given up
+ */
+const QUEUE_INTERVAL_SECONDS = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS) || 30;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MINUTES = 1;
+
+// A message stuck in "sending" this long (server crashed mid-send) is tried again
+const SENDING_TIMEOUT_MINUTES = 10;
+
+const retryDelayMinutes = (attempts) => RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+
+module.exports = {
+  EMAIL_EVENTS,
+  OPTIONAL_EMAIL_EVENTS,
+  EMAIL_TRANSPORT,
+  EMAIL_FROM,
+  SMTP,
+  EMAIL_FILE_DIR,
+  APP_URL,
+  QUEUE_INTERVAL_SECONDS,
+  MAX_ATTEMPTS,
+  SENDING_TIMEOUT_MINUTES,
+  retryDelayMinutes
+};
@@ -0,0 +1,28 @@
+// ================================
+// ISSUE CLUSTERING SETTINGS
+// ================================
+// When do two complaints describe the same problem?
+
+// Reports this close to an open issue of the same category and ward join it (meters)
+const CLUSTER_RADIUS_METERS = parseInt(process.env.ISSUE_RADIUS_METERS) || 50;
+
+// ...if the issue was last reported within this many hours
+const CLUSTER_WINDOW_HOURS = parseInt(process.env.ISSUE_WINDOW_HOURS) || 72;
+
+// Later reporters of the same issue get this share of the full points
+const CONFIRMATION_SHARE = 0.25;
+
+/**
+ * POINTS FOR A CONFIRMATION REPORT
+ * e.g. illegal dumping: 20 for the first reporter, 5 for each confirmation
+ */
+const confirmationPoints = (fullPoints) => {
+  return Math.max(1, Math.round(fullPoints * CONFIRMATION_SHARE));
+};
+
+module.exports = {
+  CLUSTER_RADIUS_METERS,
+  CLUSTER_WINDOW_HOURS,
+  CONFIRMATION_SHARE,
+  confirmationPoints
+};
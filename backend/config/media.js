@@ -0,0 +1,35 @@
+// ================================
+// COMPLAINT MEDIA SETTINGS
+// ================================
+// How many photos/videos a report or cleanup proof may have, and how big
+
+// Files per report / cleanup proof (photos + videos)
+const MAX_MEDIA_ITEMS = parseInt(process.env.MEDIA_MAX_ITEMS) || 5;
+
+// Videos among them (0 = photos only)
+const MAX_VIDEOS = process.env.MEDIA_MAX_VIDEOS !== undefined
+  ? Math.max(0, parseInt(process.env.MEDIA_MAX_VIDEOS) || 0)
+  : 1;
+
+// Size limits (MB)
+const IMAGE_MAX_MB = 5;
+const VIDEO_MAX_MB = parseInt(process.env.MEDIA_VIDEO_MAX_MB) || 25;
+
+// Longest video clip (seconds)
+const VIDEO_MAX_SECONDS = parseInt(process.env.MEDIA_VIDEO_MAX_SECONDS) || 30;
+
+// MP4 / MOV - their header tells us the duration without a video decoder
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime'];
+
+// Thumbnail width for photos (pixels)
+const THUMBNAIL_WIDTH = 320;
+
+module.exports = {
+  MAX_MEDIA_ITEMS,
+  MAX_VIDEOS,
+  IMAGE_MAX_MB,
+  VIDEO_MAX_MB,
+  VIDEO_MAX_SECONDS,
+  VIDEO_TYPES,
+  THUMBNAIL_WIDTH
+};
@@ -0,0 +1,106 @@
+// ================================
+// ROLES AND PERMISSIONS
+// ================================
+// Which role is allowed to do what (role-based access control)
+
+/**
+ * PERMISSIONS
+ * Named actions that routes check with requirePermission('...')
+ */
+const PERMISSIONS = {
+  COMPLAINT_VIEW_ALL: 'complaint:view_all',   // See every citizen's complaints
+  COMPLAINT_APPROVE: 'complaint:approve',     // Approve / reject / reopen
+  COMPLAINT_CLEANUP: 'complaint:cleanup',     // Start cleanup, upload proof (any complaint)
+  WORKORDER_ASSIGN: 'workorder:assign',       // Assign complaints to field crews
+  WORKORDER_WORK: 'workorder:work',           // Work on own assigned jobs (crew app)
+  REDEEM_FULFIL: 'redeem:fulfil',             // Approve / reject / deliver vouchers
+  POINTS_ADJUST: 'points:adjust',             // Manual adjustments, reversals, reconcile
+  LEDGER_VIEW: 'ledger:view',                 // See everyone's points ledger
+  DASHBOARD_VIEW: 'dashboard:view',           // Admin dashboard stats
+  AUDIT_VIEW: 'audit:view',                   // Read / export audit log
+  WARD_MANAGE: 'ward:manage',                 // Import / edit ward boundaries
+  WEBHOOK_MANAGE: 'webhook:manage',           // Webhooks for other city systems
+  USER_MANAGE: 'user:manage'                  // Change roles, (de)activate accounts
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * ROLE → PERMISSIONS
+ * Approving complaints and handing out vouchers are deliberately
+ * separate: no role below super_admin/admin can do both.
+ */
+const ROLE_PERMISSIONS = {
+  citizen: [],
+
+  reviewer: [
+    PERMISSIONS.COMPLAINT_VIEW_ALL,
+    PERMISSIONS.COMPLAINT_APPROVE,
+    PERMISSIONS.DASHBOARD_VIEW
+  ],
+
+  ward_officer: [
+    PERMISSIONS.COMPLAINT_VIEW_ALL,
+    PERMISSIONS.COMPLAINT_APPROVE,
+    PERMISSIONS.COMPLAINT_CLEANUP,
+    PERMISSIONS.WORKORDER_ASSIGN,
+    PERMISSIONS.DASHBOARD_VIEW
+  ],
+
+  // Crews only see and work on jobs assigned to them
+  cleanup_crew: [
+    PERMISSIONS.WORKORDER_WORK
+  ],
+
+  rewards_manager: [
+    PERMISSIONS.REDEEM_FULFIL,
+    PERMISSIONS.LEDGER_VIEW,
+    PERMISSIONS.POINTS_ADJUST,
+    PERMISSIONS.DASHBOARD_VIEW
+  ],
+
+  // Original all-in-one admin role, kept for existing accounts.
+  // Move people to the narrower roles above where possible.
+  admin: ALL_PERMISSIONS.filter(p => p !== PERMISSIONS.USER_MANAGE),
+
+  super_admin: ALL_PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that belong to municipal staff (everyone except citizens)
+const STAFF_ROLES = ROLES.filter(role => role !== 'citizen');
+
+/**
+ * CHECK A PERMISSION
+ */
+const roleHasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  roleHasPermission
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * ROLE vs PERMISSION:
+ * - Role = job title (reviewer, rewards_manager)
+ * - Permission = one thing you may do (complaint:approve)
+ * - Routes check permissions, never role names, so a new role
+ *   only needs a line here - no route changes
+ *
+ * USAGE IN ROUTES:
+ * router.put('/complaints/:id/approve', protect,
+ *   requirePermission('complaint:approve'), handler);
+ *
+ * SEPARATION OF DUTIES:
+ * - reviewer can approve complaints (which creates points)
+ * - rewards_manager can hand out vouchers (which spends points)
+ * - Nobody except admin/super_admin can do both
+ */
@@ -0,0 +1,67 @@
+// ================================
+// RATE LIMIT SETTINGS
+// ================================
+// How often each route may be called, failed-login lockout and daily report caps
+// (see middleware/rateLimit.js and utils/rateLimit)
+
+/**
+ * STORE
+ * - memory: counters live in this Node process (one server)
+ * - mongo: counters live in MongoDB, shared by every server
+ */
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Set RATE_LIMIT=false to switch every limit off (e.g. load tests)
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT !== 'false';
+
+/**
+ * LIMITS: max requests per sliding window
+ * by: 'ip' counts per client address, 'user' per logged-in user
+ * (user limits need protect to run first), 'phone' per phone number
+ */
+const RATE_LIMITS = {
+  login:           { max: 20, windowSeconds: 15 * 60, by: 'ip' },
+  register:        { max: 10, windowSeconds: 60 * 60, by: 'ip' },
+  forgot_password: { max: 5,  windowSeconds: 60 * 60, by: 'ip' },
+  account_link:    { max: 20, windowSeconds: 60 * 60, by: 'ip' },   // reset-password, verify-email
+  refresh:         { max: 60, windowSeconds: 15 * 60, by: 'ip' },
+  two_factor:      { max: 10, windowSeconds: 15 * 60, by: 'ip' },   // login codes, setup, disable
+  otp_request:     { max: 10, windowSeconds: 60 * 60, by: 'ip' },   // SMS codes sent
+  otp_phone:       { max: 5,  windowSeconds: 60 * 60, by: 'phone' }, // SMS codes per number (utils/otp.js)
+  otp_verify:      { max: 20, windowSeconds: 15 * 60, by: 'ip' },
+  complaint:       { max: 5,  windowSeconds: 10 * 60, by: 'user' },
+  complaint_ip:    { max: 30, windowSeconds: 60 * 60, by: 'ip' }    // many accounts, one device
+};
+
+/**
+ * FAILED LOGIN LOCKOUT
+ * After LOCKOUT_THRESHOLD wrong passwords in a row the account is locked for
+ * LOCKOUT_BASE_MINUTES; each further failure doubles it, up to LOCKOUT_MAX_MINUTES.
+ * The count starts over after a successful login, a password reset, or
+ * LOCKOUT_RESET_HOURS without failures.
+ */
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60;
+const LOCKOUT_RESET_HOURS = 24;
+
+// Failure number → minutes locked (0 below the threshold)
+const lockoutMinutes = (failures) => {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES);
+};
+
+// Complaint submissions one user may attempt per calendar day (server time;
+// deleting a report does not give the attempt back)
+const DAILY_COMPLAINT_LIMIT = parseInt(process.env.DAILY_COMPLAINT_LIMIT) || 10;
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_ENABLED,
+  RATE_LIMITS,
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MAX_MINUTES,
+  LOCKOUT_RESET_HOURS,
+  lockoutMinutes,
+  DAILY_COMPLAINT_LIMIT
+};
@@ -0,0 +1,70 @@
+// ================================
+// REPORT RISK SCORING SETTINGS
+// ================================
+// Signals that a user's reports are not genuine, and what each one costs
+
+/**
+ * SIGNAL WEIGHTS (score points, total capped at 100)
+ * - impossible_travel: faster than any vehicle since the last report
+ * - round_coordinates: typed-in location (e.g. 28.61, 77.2), not phone GPS
+ * - round_coordinates_pattern: most recent reports have typed-in locations
+ * - report_burst: many reports within a short window
+ * - redemption_burst: a burst just below a redemption threshold or
+ *   right after a redemption request
+ */
+const SIGNAL_WEIGHTS = {
+  impossible_travel: 50,
+  round_coordinates: 15,
+  round_coordinates_pattern: 20,
+  report_burst: 20,
+  redemption_burst: 25
+};
+
+// Faster than this between two reports is not believable (km/h)
+const MAX_TRAVEL_SPEED_KMH = parseInt(process.env.RISK_MAX_SPEED_KMH) || 120;
+
+// Ignore travel shorter than this (GPS jitter, same street)
+const MIN_TRAVEL_METERS = 1000;
+
+// A coordinate with this many decimals or fewer counts as typed in
+const ROUND_COORDINATE_DECIMALS = 3;
+
+// How many recent reports the pattern check looks at, and how many must be round
+const PATTERN_WINDOW_REPORTS = 10;
+const PATTERN_MIN_ROUND = 5;
+
+// This many earlier reports within the window make a burst
+const BURST_WINDOW_MINUTES = 60;
+const BURST_MIN_REPORTS = 4;
+
+// "Near a threshold": balance is this close below the minimum redemption
+const THRESHOLD_MARGIN_POINTS = 30;
+
+// ...or the user asked for a redemption this recently (hours)
+const RECENT_REDEMPTION_HOURS = 24;
+
+// Complaints at or above this score are flagged for reviewers
+const FLAG_SCORE = parseInt(process.env.RISK_FLAG_SCORE) || 40;
+
+// Points for complaints at or above this score (or from users at or above it)
+// wait for manual review instead of being paid on approval
+const HOLD_SCORE = parseInt(process.env.RISK_HOLD_SCORE) || 60;
+
+// User score keeps this share of its old value after each report
+const USER_SCORE_DECAY = 0.8;
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  MAX_TRAVEL_SPEED_KMH,
+  MIN_TRAVEL_METERS,
+  ROUND_COORDINATE_DECIMALS,
+  PATTERN_WINDOW_REPORTS,
+  PATTERN_MIN_ROUND,
+  BURST_WINDOW_MINUTES,
+  BURST_MIN_REPORTS,
+  THRESHOLD_MARGIN_POINTS,
+  RECENT_REDEMPTION_HOURS,
+  FLAG_SCORE,
+  HOLD_SCORE,
+  USER_SCORE_DECAY
+};
@@ -0,0 +1,83 @@
+// ================================
+// SLA TARGETS (Service Level Agreements)
+// ================================
+// How long each complaint may wait before it counts as late
+
+/**
+ * TARGETS BY PRIORITY (hours)
+ * - reviewHours: report → approved/rejected
+ * - cleanupHours: approved → cleaned
+ */
+const PRIORITY_TARGETS = {
+  urgent: { reviewHours: 4, cleanupHours: 24 },
+  high: { reviewHours: 12, cleanupHours: 48 },
+  medium: { reviewHours: 24, cleanupHours: 72 },
+  low: { reviewHours: 48, cleanupHours: 168 }
+};
+
+/**
+ * CATEGORY OVERRIDES (hours)
+ * Replace the priority target for specific categories.
+ * Blocked drains flood streets, so they get cleaned faster.
+ */
+const CATEGORY_OVERRIDES = {
+  blocked_drain: {
+    urgent: { cleanupHours: 12 },
+    high: { cleanupHours: 24 },
+    medium: { cleanupHours: 48 }
+  },
+  illegal_dumping: {
+    urgent: { cleanupHours: 24 },
+    high: { cleanupHours: 48 },
+    medium: { cleanupHours: 96 },
+    low: { cleanupHours: 168 }
+  }
+};
+
+// Escalation bumps priority one step each time, up to urgent
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// Stop escalating after this many escalations (officers are already alerted)
+const MAX_ESCALATION_LEVEL = 3;
+
+// How often the scheduler looks for breaches (minutes)
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15;
+
+/**
+ * GET SLA TARGETS FOR A COMPLAINT
+ */
+const getSlaTargets = (category, priority) => {
+  const base = PRIORITY_TARGETS[priority] || PRIORITY_TARGETS.medium;
+  const override = (CATEGORY_OVERRIDES[category] || {})[priority] || {};
+  return { ...base, ...override };
+};
+
+/**
+ * NEXT PRIORITY UP (urgent stays urgent)
+ */
+const nextPriority = (priority) => {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)] || 'high';
+};
+
+module.exports = {
+  PRIORITY_TARGETS,
+  CATEGORY_OVERRIDES,
+  MAX_ESCALATION_LEVEL,
+  CHECK_INTERVAL_MINUTES,
+  getSlaTargets,
+  nextPriority
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * EXAMPLE (urgent blocked drain):
+ * - Reported 10:00 → must be reviewed by 14:00 (4h)
+ * - Approved 12:00 → must be cleaned by 00:00 (12h override)
+ *
+ * ESCALATION:
+ * - Deadline missed → priority goes up one step (medium → high)
+ * - Ward officers are notified
+ * - If still late after the new (shorter) target → escalate again
+ */
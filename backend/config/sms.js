@@ -0,0 +1,63 @@
+// ================================
+// SMS & PHONE LOGIN SETTINGS
+// ================================
+// How text messages are sent and how one-time login codes behave (see utils/sms, utils/otp.js)
+
+const path = require('path');
+
+/**
+ * PROVIDER
+ * - twilio: real SMS (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM)
+ * - file: one .txt file per message in SMS_FILE_DIR
+ * - console: printed in the server log
+ * Without Twilio credentials we fall back to console, so nothing is sent by accident -
+ * except in production, where codes must reach the phone and never sit in logs or files.
+ */
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console');
+
+const DEV_SMS_PROVIDERS = ['console', 'file'];
+
+if (process.env.NODE_ENV === 'production' && DEV_SMS_PROVIDERS.includes(SMS_PROVIDER)) {
+  throw new Error(`SMS_PROVIDER "${SMS_PROVIDER}" is for development only - configure a real provider (e.g. twilio) in production`);
+}
+
+// Sender number (or alphanumeric sender ID where the country allows it)
+const SMS_FROM = process.env.SMS_FROM || 'CLNCTY';
+
+const TWILIO = {
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN
+};
+
+const SMS_FILE_DIR = path.resolve(process.env.SMS_FILE_DIR || path.join(__dirname, '..', 'sms-outbox'));
+
+// Seconds to wait for the SMS provider
+const SMS_TIMEOUT_MS = 10000;
+
+// Numbers typed without a country code are in this country
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '+91';
+
+/**
+ * ONE-TIME CODES
+ * A code works once, for OTP_TTL_MINUTES, and allows OTP_MAX_ATTEMPTS
+ * wrong guesses before a new one must be requested
+ */
+const OTP_DIGITS = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+
+// A new code for the same number can be requested after this many seconds
+const OTP_RESEND_SECONDS = 60;
+
+module.exports = {
+  SMS_PROVIDER,
+  SMS_FROM,
+  TWILIO,
+  SMS_FILE_DIR,
+  SMS_TIMEOUT_MS,
+  DEFAULT_COUNTRY_CODE,
+  OTP_DIGITS,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_SECONDS
+};
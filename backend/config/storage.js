@@ -0,0 +1,31 @@
+// ================================
+// MEDIA STORAGE SETTINGS
+// ================================
+// Where uploaded photos are kept (see utils/storage)
+
+const path = require('path');
+
+/**
+ * DRIVER
+ * - cloudinary: Cloudinary CDN (needs CLOUDINARY_* credentials)
+ * - local: files on this server's disk, served at /uploads
+ * Without Cloudinary credentials we fall back to local, so the app
+ * runs offline and in tests.
+ */
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+// Local driver: folder on disk
+const LOCAL_STORAGE_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Local driver: URL the folder is reachable at (served by server.js)
+const LOCAL_PUBLIC_PATH = '/uploads';
+const LOCAL_PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5000}${LOCAL_PUBLIC_PATH}`).replace(/\/$/, '');
+
+module.exports = {
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  LOCAL_PUBLIC_PATH,
+  LOCAL_PUBLIC_URL
+};
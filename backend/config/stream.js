@@ -0,0 +1,41 @@
+// ================================
+// ADMIN LIVE FEED SETTINGS
+// ================================
+// Events pushed to the review dashboard over GET /api/admin/stream
+
+/**
+ * EVENTS
+ * And the permission a staff member needs to receive each one
+ */
+const STREAM_EVENTS = {
+  'complaint.created': 'complaint:view_all',
+  'complaint.status_changed': 'complaint:view_all',
+  'complaint.upvote_surge': 'complaint:view_all',
+  'redemption.requested': 'redeem:fulfil'
+};
+
+// Upvote surge: this many upvotes within UPVOTE_SURGE_MINUTES
+const UPVOTE_SURGE_COUNT = parseInt(process.env.STREAM_UPVOTE_SURGE_COUNT) || 5;
+const UPVOTE_SURGE_MINUTES = parseInt(process.env.STREAM_UPVOTE_SURGE_MINUTES) || 60;
+
+// Events are kept this long so a dropped connection can catch up (Last-Event-ID)
+const EVENT_RETENTION_HOURS = parseInt(process.env.STREAM_EVENT_RETENTION_HOURS) || 24;
+
+// At most this many missed events are replayed; beyond that the client reloads
+const REPLAY_LIMIT = 500;
+
+// Comment line sent this often so proxies don't close an idle connection
+const HEARTBEAT_SECONDS = 25;
+
+// Browsers wait this long before reconnecting a dropped stream
+const RECONNECT_MS = 5000;
+
+module.exports = {
+  STREAM_EVENTS,
+  UPVOTE_SURGE_COUNT,
+  UPVOTE_SURGE_MINUTES,
+  EVENT_RETENTION_HOURS,
+  REPLAY_LIMIT,
+  HEARTBEAT_SECONDS,
+  RECONNECT_MS
+};
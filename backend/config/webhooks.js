@@ -0,0 +1,46 @@
+// ================================
+// WEBHOOK SETTINGS
+// ================================
+// Events other city systems can subscribe to, and how deliveries are retried
+
+/**
+ * EVENTS
+ * Sent from the admin and rewards routes (see utils/webhooks.js)
+ */
+const WEBHOOK_EVENTS = [
+  'complaint.approved',
+  'complaint.rejected',
+  'complaint.reopened',                     // Rejection undone, or cleanup disputed
+  'complaint.cleaned',
+  'redemption.fulfilled',
+  'redemption.rejected'
+];
+
+// Test event sent by POST /api/admin/webhooks/:id/ping (cannot be subscribed to)
+const PING_EVENT = 'ping';
+
+// Receivers must answer within this time (2xx = delivered)
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+/**
+ * QUEUE
+ * Failed deliveries are retried after 1, 2, 4, 8 ... minutes, then given up
+ */
+const QUEUE_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS) || 15;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MINUTES = 1;
+
+// A delivery stuck in "sending" this long (server crashed mid-send) is tried again
+const SENDING_TIMEOUT_MINUTES = 10;
+
+const retryDelayMinutes = (attempts) => RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  TIMEOUT_MS,
+  QUEUE_INTERVAL_SECONDS,
+  MAX_ATTEMPTS,
+  SENDING_TIMEOUT_MINUTES,
+  retryDelayMinutes
+};
@@ -17,7 +17,7 @@ mongoose.connect(process.env.MONGO_URI)
 const createAdmin = async () => {
   try {
     // Check if admin already exists
-    const existingAdmin = await User.findOne({ role: 'admin' });
+    const existingAdmin = await User.findOne({ role: { $in: ['admin', 'super_admin'] } });
 
     if (existingAdmin) {
       console.log('⚠️ Admin already exists:', existingAdmin.email);
@@ -29,11 +29,16 @@ const createAdmin = async () => {
       name: 'Admin User',
       email: process.env.ADMIN_EMAIL || 'admin@cleancity.com',
       password: process.env.ADMIN_PASSWORD || 'Admin@123456',
-      role: 'admin'
+      role: 'super_admin',  // Can manage roles of other staff
+      isEmailVerified: true
     });
 
     console.log('🎉 Admin created successfully!');
     console.log('📧 Email:', admin.email);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log('⚠️ Default password in use - change it right after the first login');
+    }
+    console.log('🔐 Turn on two-factor login (POST /api/auth/2fa/setup) before using staff tools');
     process.exit();
 
   } catch (error) {
@@ -0,0 +1,54 @@
+// ================================
+// IMPORT WARDS SCRIPT
+// ================================
+// Loads ward boundaries from a GeoJSON file
+//
+// Usage:
+//   node import-wards.js wards.geojson
+//   node import-wards.js wards.geojson --name-prop=WARD_NAME --code-prop=WARD_NO --city=Delhi
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { importWardsFromGeoJSON } = require('./utils/wards');
+
+// Read --key=value options from the command line
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const option = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=') : undefined;
+};
+
+if (!file) {
+  console.error('❌ Usage: node import-wards.js <file.geojson> [--name-prop=name] [--code-prop=code] [--city=City]');
+  process.exit(1);
+}
+
+const importWards = async () => {
+  try {
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected for ward import');
+
+    const result = await importWardsFromGeoJSON(geojson, {
+      nameProperty: option('name-prop'),
+      codeProperty: option('code-prop'),
+      city: option('city')
+    });
+
+    console.log(`🗺️  Wards created: ${result.created}, updated: ${result.updated}`);
+    result.skipped.forEach(skip => {
+      console.log(`⚠️  Skipped feature #${skip.index}${skip.code ? ` (${skip.code})` : ''}: ${skip.reason}`);
+    });
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error importing wards:', error.message);
+    process.exit(1);
+  }
+};
+
+importWards();
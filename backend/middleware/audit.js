@@ -0,0 +1,92 @@
+// ================================
+// AUDIT MIDDLEWARE
+// ================================
+// Records who changed what for every mutating admin route
+
+const mongoose = require('mongoose');
+const { snapshot, writeAuditLog } = require('../utils/audit');
+
+/**
+ * LOAD TARGET DOCUMENT
+ * Returns a snapshot of the target, or null if there is none
+ */
+const loadTarget = async (targetType, targetId) => {
+  const Model = mongoose.models[targetType];
+
+  if (!Model || !targetId || !mongoose.isValidObjectId(targetId)) {
+    return null;
+  }
+
+  return snapshot(await Model.findById(targetId));
+};
+
+/**
+ * AUDIT MIDDLEWARE FACTORY
+ * Usage: router.put('/complaints/:id/approve', protect, admin,
+ *          audit('complaint.approve', 'Complaint'), handler)
+ *
+ * - Takes a "before" snapshot of the target (req.params.id by default)
+ * - After a successful response (< 400), takes an "after" snapshot
+ *   and writes the AuditLog entry with the diff
+ *
+ * Route handlers can add details through res.locals.audit:
+ *   res.locals.audit = { action, targetId, metadata }
+ *
+ * Must be used after protect (needs req.user).
+ */
+const audit = (action, targetType, { getTargetId = req => req.params.id } = {}) => {
+  return async (req, res, next) => {
+    let before = null;
+
+    try {
+      before = await loadTarget(targetType, getTargetId(req));
+    } catch (error) {
+      console.error('Audit snapshot error:', error.message);
+    }
+
+    res.on('finish', async () => {
+      // Failed requests changed nothing worth auditing
+      if (res.statusCode >= 400) return;
+
+      try {
+        const extra = res.locals.audit || {};
+        const targetId = extra.targetId || getTargetId(req);
+
+        await writeAuditLog({
+          req,
+          res,
+          action: extra.action || action,
+          targetType,
+          targetId: mongoose.isValidObjectId(targetId) ? targetId : undefined,
+          before,
+          after: await loadTarget(targetType, targetId),
+          metadata: { body: req.body, ...extra.metadata }
+        });
+      } catch (error) {
+        // Never break the response because of the audit log, but make noise
+        console.error(`❌ Audit log write failed (${action}, request ${req.id}):`, error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY MIDDLEWARE?
+ * - Each route would otherwise need its own "write audit log" code
+ * - Easy to forget → gaps in the audit trail
+ * - One line per route instead: audit('complaint.approve', 'Complaint')
+ *
+ * res.on('finish'):
+ * - Runs after the response has been sent
+ * - By then the route has saved its changes, so we can read the "after" state
+ *
+ * FLOW:
+ * Request → protect → admin → audit (before snapshot) → route handler
+ *         → response sent → audit (after snapshot + diff → AuditLog)
+ */
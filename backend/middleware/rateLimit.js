@@ -0,0 +1,124 @@
+// ================================
+// RATE LIMIT MIDDLEWARE
+// ================================
+// Answers 429 Too Many Requests when a client or user calls a route too often
+
+const { hit, hitDaily } = require('../utils/rateLimit');
+const { RATE_LIMITS, RATE_LIMIT_ENABLED, DAILY_COMPLAINT_LIMIT } = require('../config/rateLimit');
+
+/**
+ * SEND 429
+ * Retry-After tells the client how many seconds to wait
+ */
+const tooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter: retryAfterSeconds
+  });
+};
+
+// "45 seconds" / "3 minutes"
+const formatWait = (seconds) => (seconds < 90
+  ? `${seconds} seconds`
+  : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * RATE LIMIT MIDDLEWARE FACTORY
+ * Usage: router.post('/login', rateLimit('login'), handler)
+ * name: a limit from RATE_LIMITS in config/rateLimit.js
+ *
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset on every
+ * response, plus Retry-After when blocked. 'user' limits must come after protect.
+ * If the store is down the request goes through - better than locking everyone out.
+ */
+const rateLimit = (name) => {
+  const limit = RATE_LIMITS[name];
+
+  if (!limit) {
+    throw new Error(`Unknown rate limit "${name}" (see config/rateLimit.js)`);
+  }
+
+  // 'phone' limits are counted where the number is known (utils/otp.js)
+  if (!['ip', 'user'].includes(limit.by)) {
+    throw new Error(`Rate limit "${name}" counts by ${limit.by} and can't be used as middleware`);
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    const id = limit.by === 'user' ? req.user && req.user._id : req.ip;
+    if (!id) return next();
+
+    let result;
+
+    try {
+      result = await hit(`${name}:${limit.by}:${id}`, limit);
+    } catch (error) {
+      console.error(`Rate limit check failed (${name}):`, error.message);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+
+    if (!result.allowed) {
+      return tooManyRequests(res, result.retryAfterSeconds,
+        `Too many requests, please try again in ${formatWait(result.retryAfterSeconds)}`);
+    }
+
+    next();
+  };
+};
+
+/**
+ * DAILY COMPLAINT LIMIT
+ * At most DAILY_COMPLAINT_LIMIT report attempts per user per calendar day.
+ * Attempts are counted in the rate limit store, so deleting a report
+ * doesn't free a slot. Runs before the upload, so blocked reports
+ * don't upload photos. Must be used after protect.
+ */
+const dailyComplaintLimit = async (req, res, next) => {
+  if (!RATE_LIMIT_ENABLED) return next();
+
+  let result;
+
+  try {
+    result = await hitDaily(`complaint_daily:user:${req.user._id}`, { max: DAILY_COMPLAINT_LIMIT });
+  } catch (error) {
+    console.error('Daily complaint limit check failed:', error.message);
+    return next();
+  }
+
+  if (!result.allowed) {
+    return tooManyRequests(res, result.retryAfterSeconds,
+      `You can submit up to ${DAILY_COMPLAINT_LIMIT} reports a day, please try again tomorrow`);
+  }
+
+  next();
+};
+
+module.exports = { rateLimit, dailyComplaintLimit, tooManyRequests, formatWait };
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY?
+ * - Without limits a script can try thousands of passwords a minute,
+ *   or flood the review queue with reports
+ *
+ * HEADERS THE APP CAN READ:
+ * - RateLimit-Limit: requests allowed per window
+ * - RateLimit-Remaining: requests left
+ * - RateLimit-Reset: seconds until the window is over
+ * - Retry-After (429 only): seconds to wait before trying again
+ *
+ * USAGE:
+ * router.post('/login', rateLimit('login'), handler);                 // per IP
+ * router.post('/', protect, rateLimit('complaint'), handler);         // per user
+ */
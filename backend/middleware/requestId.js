@@ -0,0 +1,23 @@
+// ================================
+// REQUEST ID MIDDLEWARE
+// ================================
+// Gives every request an ID so logs and audit entries can be matched
+
+const crypto = require('crypto');
+
+/**
+ * REQUEST ID
+ * Reuses the X-Request-Id header from a proxy/load balancer if present,
+ * otherwise generates one. Available as req.id and sent back in the response.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  // Only accept sane values from outside (no huge or odd strings in our logs)
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
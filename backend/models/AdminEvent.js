@@ -0,0 +1,67 @@
+// ================================
+// ADMIN EVENT MODEL (Live Feed History)
+// ================================
+
+const mongoose = require('mongoose');
+const { STREAM_EVENTS, EVENT_RETENTION_HOURS } = require('../config/stream');
+
+/**
+ * AdminEvent Schema
+ * One event of the admin live feed. The _id is the SSE event id:
+ * ObjectIds grow over time, so "everything after id X" is one query.
+ */
+const adminEventSchema = new mongoose.Schema({
+
+  type: {
+    type: String,
+    enum: Object.keys(STREAM_EVENTS),
+    required: true
+  },
+
+  // For the ward / category filters of the feed
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+
+  category: String,
+
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+
+  redemption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Redeem'
+  },
+
+  // What the dashboard shows (status, address, upvotes ...)
+  data: mongoose.Schema.Types.Mixed,
+
+  // Timestamps
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEX: MongoDB deletes events after EVENT_RETENTION_HOURS
+ */
+adminEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: EVENT_RETENTION_HOURS * 60 * 60 }
+);
+
+// Create and export model
+const AdminEvent = mongoose.model('AdminEvent', adminEventSchema);
+module.exports = AdminEvent;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY SAVE LIVE EVENTS?
+ * - A laptop goes to sleep, the wifi drops... the browser reconnects
+ *   and says "the last event I saw was X" (Last-Event-ID header)
+ * - We send everything after X from this collection, so nothing is missed
+ * - Old events are deleted automatically (TTL index)
+ */
@@ -0,0 +1,113 @@
+// ================================
+// AUDIT LOG MODEL (Admin Action History)
+// ================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema
+ * One entry per successful mutating admin action.
+ * Written by middleware/audit.js - never edited or deleted.
+ */
+const auditLogSchema = new mongoose.Schema({
+
+  // Who did it?
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  actorEmail: String,                       // Kept even if the user is deleted later
+  actorRole: String,
+
+  // What did they do? (e.g. 'complaint.approve', 'redemption.fulfil')
+  action: {
+    type: String,
+    required: true
+  },
+
+  // What did they do it to?
+  targetType: {
+    type: String,
+    enum: ['Complaint', 'Issue', 'Redeem', 'User', 'PointsTransaction', 'Ward', 'Webhook', 'Config']
+  },
+
+  targetId: mongoose.Schema.Types.ObjectId,
+
+  // Field-level changes: [{ path, before, after }]
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Extra request details (reason, notes... with secrets removed)
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // Request details
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+
+  // Timestamps
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEXES: For the filters on GET /api/admin/audit-log
+ */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+/**
+ * APPEND-ONLY GUARDS
+ * Auditors must be able to trust that entries were never changed
+ */
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log is append-only'));
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(new Error('Audit log is append-only'));
+});
+
+// Create and export model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * EXAMPLE ENTRY:
+ * {
+ *   actor: <admin id>, actorEmail: 'admin@cleancity.com',
+ *   action: 'complaint.approve',
+ *   targetType: 'Complaint', targetId: <complaint id>,
+ *   changes: [
+ *     { path: 'status', before: 'pending', after: 'approved' },
+ *     { path: 'pointsAwarded', before: 0, after: 15 }
+ *   ],
+ *   ip: '203.0.113.7', requestId: '9f1c...'
+ * }
+ *
+ * WHY changes AND NOT THE WHOLE DOCUMENT?
+ * - Auditors want "what changed", not 50 unchanged fields
+ */
@@ -3,6 +3,134 @@
 // ================================
 
 const mongoose = require('mongoose');
+const { getSlaTargets } = require('../config/sla');
+const Issue = require('./Issue');
+const { afterCommit } = require('../utils/transaction');
+const { complaintEvent } = require('../utils/adminEvents');
+const { UPVOTE_SURGE_COUNT, UPVOTE_SURGE_MINUTES } = require('../config/stream');
+
+/**
+ * STATUS TRANSITIONS (complaint lifecycle)
+ * Key = current status, value = statuses it may move to next.
+ * Every status change must go through complaint.transitionTo().
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['in_progress', 'cleaned'],
+  in_progress: ['cleaned'],
+  cleaned: ['reopened'],                    // Cleanup disputed by the reporter / upvoters
+  rejected: ['reopened'],
+  reopened: ['approved', 'rejected', 'cleaned'] // → cleaned only when a cleanup dispute is dismissed
+};
+
+/**
+ * FRAUD FLAGS (shown to reviewers)
+ * - photo_reuse: report photo matches an earlier photo
+ * - cleanup_photo_reuse: cleanup proof matches an earlier photo
+ * - exif_mismatch: photo EXIF place/time contradicts the submission
+ * - high_risk: reporter's movement looks spoofed (see utils/risk.js)
+ */
+const FRAUD_FLAGS = ['photo_reuse', 'cleanup_photo_reuse', 'exif_mismatch', 'high_risk'];
+
+// Fraud-check details only staff may see (mongoose select string)
+const STAFF_ONLY_FIELDS = '-photo.hash -photo.verification -media.hash -media.verification ' +
+  '-cleanupProof.photo.hash -cleanupProof.media.hash -cleanupFeedback.media.hash ' +
+  '-cleanupFeedback.media.verification -fraudFlags -photoMatches -risk';
+
+// EXIF check of a photo against the submitted place/time (see utils/photoMetadata.js)
+const photoVerification = {
+  verdict: {
+    type: String,
+    enum: ['match', 'mismatch', 'no_metadata']
+  },
+  reasons: {                                // Why it is a mismatch
+    type: [String],
+    default: undefined
+  },
+  location: {                               // EXIF GPS [longitude, latitude]
+    type: [Number],
+    default: undefined
+  },
+  distanceMeters: Number,                   // EXIF GPS → submitted location
+  capturedAt: Date,
+  ageHours: Number,                         // Capture → submission
+  cameraMake: String,
+  cameraModel: String,
+  checkedAt: Date
+};
+
+// Perceptual hash of a photo (see utils/photoHash.js)
+const photoHash = {
+  value: String,
+  bands: {
+    type: [String],
+    default: undefined                      // No empty list on videos / old records
+  }
+};
+
+/**
+ * Media Item Schema
+ * One photo or video of a report or cleanup proof (see utils/media.js)
+ */
+const mediaItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['image', 'video'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,                         // Storage key (for deletion)
+  storage: String,                          // Storage driver (see utils/storage)
+  contentType: String,
+  size: Number,                             // Bytes
+  width: Number,                            // Photos only
+  height: Number,
+  durationSeconds: Number,                  // Videos only
+  thumbnail: {                              // Small JPEG (photos only)
+    url: String,
+    publicId: String
+  },
+  order: {
+    type: Number,
+    default: 0                              // Position in the submission
+  },
+  hash: photoHash,                          // Photos only
+  verification: photoVerification           // Report photos only
+});
+
+/**
+ * MEDIA COMPATIBILITY
+ * Records from before media[] have a single `photo`; newer ones only media[].
+ * Old clients read `photo`, new ones `media` - JSON output fills in whichever
+ * is missing so both keep working.
+ */
+const legacyMediaItem = (photo) => ({
+  type: 'image',
+  url: photo.url,
+  publicId: photo.publicId,
+  storage: photo.storage,
+  order: 0,
+  hash: photo.hash,
+  verification: photo.verification
+});
+
+const addMediaCompat = (holder) => {
+  if (!holder) return;
+
+  const hasMedia = Array.isArray(holder.media) && holder.media.length > 0;
+  const hasPhoto = Boolean(holder.photo && holder.photo.url);
+
+  if (!hasMedia && hasPhoto) {
+    holder.media = [legacyMediaItem(holder.photo)];
+  } else if (hasMedia && !hasPhoto) {
+    // Cover = first photo
+    const cover = holder.media.find(item => item.type === 'image') || holder.media[0];
+    holder.photo = { url: cover.url, thumbnailUrl: cover.thumbnail && cover.thumbnail.url };
+  }
+};
 
 /**
  * Complaint Schema
@@ -17,13 +145,24 @@ const complaintSchema = new mongoose.Schema({
     required: true
   },
   
-  // Photo of garbage (mandatory)
+  // Photos / short videos of the garbage (at least one photo)
+  media: {
+    type: [mediaItemSchema],
+    default: undefined
+  },
+  
+  // Single photo of complaints from before media[] (read through getMedia())
   photo: {
     url: {
       type: String,
-      required: true                        // Photo is mandatory
+      required: function() {                // A photo is mandatory, one way or the other
+        return !this.media || this.media.length === 0;
+      }
     },
-    publicId: String                        // Cloudinary public ID (for deletion)
+    publicId: String,                       // Storage key (for deletion)
+    storage: String,                        // Storage driver (see utils/storage); missing = cloudinary
+    hash: photoHash,
+    verification: photoVerification
   },
   
   // GPS Location (automatically captured)
@@ -40,6 +179,24 @@ const complaintSchema = new mongoose.Schema({
     address: String                         // Human-readable address
   },
   
+  // Municipal ward the location falls in (set automatically)
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+  
+  // Issue this report belongs to (nearby reports of the same problem)
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  
+  // First approved reporter earns full points, the rest a confirmation award
+  issueRole: {
+    type: String,
+    enum: ['primary', 'confirmation']
+  },
+  
   // Optional description
   description: {
     type: String,
@@ -63,16 +220,50 @@ const complaintSchema = new mongoose.Schema({
   // Complaint Status
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cleaned'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
   
+  // Every status change (who, when, why)
+  statusHistory: [{
+    from: String,                           // Empty for the first entry
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  
   // Points awarded for this complaint
   pointsAwarded: {
     type: Number,
     default: 0
   },
   
+  // Points of risky reports wait for manual review instead of being paid on approval
+  pointsHold: {
+    status: {
+      type: String,
+      enum: ['held', 'released', 'denied']
+    },
+    reason: String,                         // Why the points were held
+    heldAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  },
+  
   // Admin Review
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -85,9 +276,15 @@ const complaintSchema = new mongoose.Schema({
   
   // Cleanup Proof (Municipality uploads after cleaning)
   cleanupProof: {
-    photo: {
+    media: {
+      type: [mediaItemSchema],
+      default: undefined
+    },
+    photo: {                                // Single photo of proofs from before media[]
       url: String,
-      publicId: String
+      publicId: String,
+      storage: String,                      // Storage driver; missing = cloudinary
+      hash: photoHash
     },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -97,6 +294,104 @@ const complaintSchema = new mongoose.Schema({
     notes: String
   },
   
+  // Reporter / upvoter feedback on the cleanup (see utils/cleanup.js)
+  cleanupFeedback: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['reporter', 'upvoter']
+    },
+    verdict: {
+      type: String,
+      enum: ['confirmed', 'disputed'],
+      required: true
+    },
+    rating: {                               // 1 = not cleaned at all, 5 = spotless
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true
+    },
+    comment: {
+      type: String,
+      maxlength: 500,
+      trim: true
+    },
+    media: {                                // Counter-photos
+      type: [mediaItemSchema],
+      default: undefined
+    },
+    cleanupAt: Date,                        // Which cleanup proof it is about
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Latest cleanup dispute (disputed → reopened until staff decide)
+  cleanupDispute: {
+    status: {
+      type: String,
+      enum: ['open', 'upheld', 'dismissed']  // upheld = clean again, dismissed = stays cleaned
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    openedAt: Date,
+    reason: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    notes: String
+  },
+  
+  // Work Order (field crew assigned to clean the site)
+  workOrder: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'                           // Crew member doing the cleanup
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    status: {
+      type: String,
+      enum: ['assigned', 'in_progress', 'completed']
+    },
+    completedAt: Date,
+    
+    // Every assignment, reassignment, start and completion
+    history: [{
+      action: {
+        type: String,
+        enum: ['assigned', 'reassigned', 'unassigned', 'started', 'completed'],
+        required: true
+      },
+      crew: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      notes: String
+    }]
+  },
+  
   // Priority Level
   priority: {
     type: String,
@@ -104,6 +399,74 @@ const complaintSchema = new mongoose.Schema({
     default: 'medium'
   },
   
+  // SLA deadlines (see config/sla.js) - set automatically
+  sla: {
+    reviewDueAt: Date,                      // Must be approved/rejected by
+    cleanupDueAt: Date,                     // Must be cleaned by (set on approval)
+    reviewBreachedAt: Date,                 // When the review deadline was found missed
+    cleanupBreachedAt: Date,                // When the cleanup deadline was found missed
+    nextEscalationAt: Date,                 // Scheduler escalates when this passes
+    escalationLevel: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // Escalations by the SLA scheduler
+  escalations: [{
+    at: Date,
+    level: Number,
+    stage: {
+      type: String,
+      enum: ['review', 'cleanup']
+    },
+    reason: String,
+    fromPriority: String,
+    toPriority: String,
+    notified: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'                           // Ward officers alerted
+    }]
+  }],
+  
+  // Fraud checks (staff only, see STAFF_ONLY_FIELDS)
+  fraudFlags: [{
+    type: String,
+    enum: FRAUD_FLAGS
+  }],
+  
+  // Earlier complaints whose photos look the same as ours
+  photoMatches: [{
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'                      // Suspected original
+    },
+    kind: {
+      type: String,
+      enum: ['photo', 'cleanup']            // Which of its photos matched
+    },
+    stage: {
+      type: String,
+      enum: ['report', 'cleanup']           // Which of our photos matched
+    },
+    distance: Number,                       // Differing hash bits (0 = identical)
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Movement risk of this report (see utils/risk.js)
+  risk: {
+    score: Number,                          // 0-100
+    signals: [{
+      code: String,                         // e.g. 'impossible_travel'
+      detail: String,
+      weight: Number
+    }],
+    assessedAt: Date
+  },
+  
   // Visibility (for community challenges)
   isPublic: {
     type: Boolean,
@@ -121,9 +484,22 @@ const complaintSchema = new mongoose.Schema({
     ref: 'User'
   }],
   
+  // Upvotes in the current surge window (see recordUpvote)
+  upvoteWindow: {
+    startedAt: Date,
+    count: Number
+  },
+  
   // Timestamps
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      addMediaCompat(ret);
+      addMediaCompat(ret.cleanupProof);
+      return ret;
+    }
+  }
 });
 
 /**
@@ -137,6 +513,42 @@ complaintSchema.index({ location: '2dsphere' });
  */
 complaintSchema.index({ user: 1, createdAt: -1 });
 
+/**
+ * INDEX: For the SLA scheduler's "what is overdue?" query
+ */
+complaintSchema.index({ 'sla.nextEscalationAt': 1 });
+
+/**
+ * INDEX: For each crew member's open work orders
+ */
+complaintSchema.index({ 'workOrder.assignedTo': 1, 'workOrder.status': 1 });
+
+/**
+ * INDEX: For each ward office's queue
+ */
+complaintSchema.index({ ward: 1, status: 1, createdAt: -1 });
+
+/**
+ * INDEX: For the reports of an issue
+ */
+complaintSchema.index({ issue: 1, createdAt: 1 });
+
+/**
+ * INDEXES: For reused photo lookups and the flagged / high-risk / held review queues
+ */
+complaintSchema.index({ 'photo.hash.bands': 1 });
+complaintSchema.index({ 'media.hash.bands': 1 });
+complaintSchema.index({ 'cleanupProof.photo.hash.bands': 1 });
+complaintSchema.index({ 'cleanupProof.media.hash.bands': 1 });
+complaintSchema.index({ fraudFlags: 1, createdAt: -1 });
+complaintSchema.index({ 'risk.score': -1 });
+complaintSchema.index({ 'pointsHold.status': 1 }, { sparse: true });
+
+/**
+ * INDEX: For the open cleanup dispute queue
+ */
+complaintSchema.index({ 'cleanupDispute.status': 1 }, { sparse: true });
+
 /**
  * STATIC METHOD: Check if duplicate complaint exists
  * Prevents spam - one complaint per location in 24 hours
@@ -164,6 +576,201 @@ complaintSchema.statics.isDuplicateComplaint = async function(coordinates, userI
   return duplicate !== null;
 };
 
+/**
+ * STATIC METHOD: Can a complaint move from one status to another?
+ */
+complaintSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * METHOD: Report photos/videos, in order
+ * Older complaints only have `photo`, returned as a one-item list
+ */
+complaintSchema.methods.getMedia = function() {
+  if (this.media && this.media.length > 0) return this.media;
+  return this.photo && this.photo.url ? [legacyMediaItem(this.photo)] : [];
+};
+
+/**
+ * METHOD: Is a cleanup dispute waiting for a staff decision?
+ * Such complaints are reopened, but are not new reports to approve or reject.
+ */
+complaintSchema.methods.hasOpenCleanupDispute = function() {
+  return Boolean(this.cleanupDispute && this.cleanupDispute.status === 'open');
+};
+
+complaintSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+complaintSchema.statics.FRAUD_FLAGS = FRAUD_FLAGS;
+complaintSchema.statics.STAFF_ONLY_FIELDS = STAFF_ONLY_FIELDS;
+
+/**
+ * METHOD: Move complaint to a new status
+ * Throws (status 409) if the lifecycle does not allow it.
+ * Records the change in statusHistory. Caller must save().
+ */
+complaintSchema.methods.transitionTo = function(to, { by, reason } = {}) {
+  const from = this.status;
+  
+  if (!this.constructor.canTransition(from, to)) {
+    const error = new Error(`Cannot change complaint from ${from} to ${to}`);
+    error.status = 409;
+    throw error;
+  }
+  
+  this.status = to;
+  this.statusHistory.push({ from, to, changedBy: by, changedAt: new Date(), reason });
+  
+  return this;
+};
+
+/**
+ * METHOD: Assign (or reassign) a crew member to clean this complaint
+ * Only approved or in-progress complaints can be assigned. Caller must save().
+ */
+complaintSchema.methods.assignCrew = function(crewId, { by, notes } = {}) {
+  if (!['approved', 'in_progress'].includes(this.status)) {
+    const error = new Error(`Cannot assign a crew to a ${this.status} complaint`);
+    error.status = 409;
+    throw error;
+  }
+  
+  const current = this.workOrder && this.workOrder.assignedTo;
+  const action = current ? 'reassigned' : 'assigned';
+  
+  this.workOrder.assignedTo = crewId;
+  this.workOrder.assignedBy = by;
+  this.workOrder.assignedAt = new Date();
+  this.workOrder.status = this.status === 'in_progress' ? 'in_progress' : 'assigned';
+  this.workOrder.history.push({ action, crew: crewId, by, at: new Date(), notes });
+  
+  return this;
+};
+
+/**
+ * METHOD: Remove the crew assignment. Caller must save().
+ */
+complaintSchema.methods.unassignCrew = function({ by, notes } = {}) {
+  if (!this.workOrder || !this.workOrder.assignedTo || this.workOrder.status === 'completed') {
+    const error = new Error('No open work order to unassign');
+    error.status = 409;
+    throw error;
+  }
+  
+  this.workOrder.history.push({ action: 'unassigned', crew: this.workOrder.assignedTo, by, at: new Date(), notes });
+  this.workOrder.assignedTo = undefined;
+  this.workOrder.status = undefined;
+  
+  return this;
+};
+
+/**
+ * METHOD: Record progress on the work order ('started' or 'completed')
+ * Does nothing if no crew is assigned. Caller must save().
+ */
+complaintSchema.methods.recordWorkOrderEvent = function(action, { by, notes } = {}) {
+  if (!this.workOrder || !this.workOrder.assignedTo) return this;
+  
+  this.workOrder.status = action === 'completed' ? 'completed' : 'in_progress';
+  if (action === 'completed') this.workOrder.completedAt = new Date();
+  this.workOrder.history.push({ action, crew: this.workOrder.assignedTo, by, at: new Date(), notes });
+  
+  return this;
+};
+
+/**
+ * PRE-SAVE HOOK: Record the initial status of new complaints
+ */
+complaintSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.user, changedAt: new Date() });
+  }
+  next();
+});
+
+/**
+ * PRE-SAVE HOOK: Set SLA deadlines
+ * - New or reopened → review deadline starts now
+ * - Approved → cleanup deadline starts now
+ * (each new deadline starts again at escalation level 0)
+ * - Rejected or cleaned → nothing left to escalate
+ */
+complaintSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('status')) return next();
+  
+  const now = Date.now();
+  const targets = getSlaTargets(this.category, this.priority);
+  const hoursFromNow = hours => new Date(now + hours * 60 * 60 * 1000);
+  
+  if (this.isNew || this.status === 'reopened') {
+    this.sla.reviewDueAt = hoursFromNow(targets.reviewHours);
+    this.sla.nextEscalationAt = this.sla.reviewDueAt;
+    this.sla.escalationLevel = 0;
+  } else if (this.status === 'approved') {
+    this.sla.cleanupDueAt = hoursFromNow(targets.cleanupHours);
+    this.sla.nextEscalationAt = this.sla.cleanupDueAt;
+    this.sla.escalationLevel = 0;
+  } else if (['rejected', 'cleaned'].includes(this.status)) {
+    this.sla.nextEscalationAt = undefined;
+  }
+  
+  next();
+});
+
+/**
+ * PRE/POST-SAVE HOOKS: Keep the linked issue's counts and status in sync
+ * (uses the same session, so it commits or rolls back with the complaint)
+ */
+complaintSchema.pre('save', function(next) {
+  this.$locals.issueChanged = this.isNew || this.isModified('status') || this.isModified('issue');
+  next();
+});
+
+complaintSchema.post('save', async function(doc) {
+  if (!doc.issue || !doc.$locals.issueChanged) return;
+  await Issue.refreshStats(doc.issue, { session: doc.$session() });
+});
+
+/**
+ * PRE/POST-SAVE HOOKS: Tell the admin live feed (utils/adminEvents.js)
+ * about new complaints and status changes - after the transaction commits,
+ * so a rolled-back approval never shows up on the dashboard
+ */
+complaintSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.feedEvent = { type: 'complaint.created' };
+  } else if (this.isModified('status')) {
+    const change = this.statusHistory[this.statusHistory.length - 1];
+    this.$locals.feedEvent = { type: 'complaint.status_changed', extra: { from: change && change.from } };
+  } else {
+    this.$locals.feedEvent = null;
+  }
+  next();
+});
+
+complaintSchema.post('save', function(doc) {
+  const event = doc.$locals.feedEvent;
+  if (!event) return;
+  afterCommit(doc.$session(), () => complaintEvent(event.type, doc, event.extra));
+});
+
+/**
+ * METHOD: Count an upvote towards a surge
+ * Upvotes are counted in windows of UPVOTE_SURGE_MINUTES; returns true
+ * for the upvote that reaches UPVOTE_SURGE_COUNT (once per window)
+ */
+complaintSchema.methods.recordUpvote = function(now = new Date()) {
+  const windowStart = this.upvoteWindow && this.upvoteWindow.startedAt;
+  
+  if (!windowStart || now - windowStart > UPVOTE_SURGE_MINUTES * 60 * 1000) {
+    this.upvoteWindow = { startedAt: now, count: 1 };
+  } else {
+    this.upvoteWindow.count += 1;
+  }
+  
+  return this.upvoteWindow.count === UPVOTE_SURGE_COUNT;
+};
+
 /**
  * METHOD: Calculate points for this complaint
  * Different categories earn different points
@@ -222,7 +829,15 @@ module.exports = Complaint;
  * - Always [longitude, latitude] (lon first!)
  * - Example: [77.2090, 28.6139] (New Delhi)
  * 
+ * STATUS FLOW (see STATUS_TRANSITIONS):
+ * pending → approved → in_progress → cleaned
+ *    ↓          └──────────────────→ cleaned
+ * rejected → reopened → approved / rejected
+ * cleaned → reopened (cleanup disputed) → approved (clean again) / cleaned
+ * 
  * FRAUD PREVENTION:
  * - isDuplicateComplaint checks if same user reported same location in 24hrs
  * - Prevents spamming for points
+ * - Reports by different users of the same spot share one Issue
+ *   (only the first approved reporter gets full points)
  */
\ No newline at end of file
@@ -0,0 +1,113 @@
+// ================================
+// EMAIL MESSAGE MODEL (Outbound Email Queue)
+// ================================
+
+const mongoose = require('mongoose');
+const { EMAIL_EVENTS } = require('../config/email');
+
+// Sent emails are removed after this many days (failed ones stay for checking)
+const SENT_RETENTION_DAYS = 30;
+
+/**
+ * EmailMessage Schema
+ * One email waiting to be sent (or already sent)
+ * The text is rendered when it is queued, so a retry sends exactly the same email
+ */
+const emailMessageSchema = new mongoose.Schema({
+
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  subject: {
+    type: String,
+    required: true
+  },
+
+  text: {
+    type: String,
+    required: true
+  },
+
+  html: String,
+
+  // Why it was sent
+  event: {
+    type: String,
+    enum: Object.keys(EMAIL_EVENTS),
+    required: true
+  },
+
+  // Who it is for (empty for an address without an account)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+
+  // Delivery attempts so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Not sent before this time (pushed back after every failed attempt)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When a worker picked it up (status 'sending')
+  lockedAt: Date,
+
+  lastError: String,
+
+  sentAt: Date,
+
+  // Which transport delivered it and the id it returned
+  transport: String,
+  messageId: String,
+
+  // Timestamps
+}, {
+  timestamps: true
+});
+
+/**
+ * INDEX: For the queue worker (oldest due email first)
+ */
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * INDEX: MongoDB deletes sent emails after SENT_RETENTION_DAYS
+ */
+emailMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Create and export model
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+module.exports = EmailMessage;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY A QUEUE?
+ * - Sending email is slow and the mail server can be down
+ * - Routes only save an EmailMessage (fast, can be part of a transaction)
+ * - A background job sends them and retries the ones that fail
+ *
+ * STATUS:
+ * - queued → sending → sent
+ * - sending → queued again (with a later nextAttemptAt) when it fails
+ * - failed = gave up after MAX_ATTEMPTS (see config/email.js)
+ */
@@ -0,0 +1,153 @@
+// ================================
+// ISSUE MODEL (Clusters of Duplicate Complaints)
+// ================================
+
+const mongoose = require('mongoose');
+
+// Complaint statuses that still need work - an issue with none of these is closed
+const ACTIVE_COMPLAINT_STATUSES = ['pending', 'reopened', 'approved', 'in_progress'];
+
+/**
+ * Issue Schema
+ * One real-world problem (a dump, a blocked drain) reported by one or
+ * more citizens. New complaints near an open issue are linked to it,
+ * so reviewers approve and clean the site once instead of ten times.
+ */
+const issueSchema = new mongoose.Schema({
+
+  // Where the first report was made
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],                       // [longitude, latitude]
+      required: true
+    }
+  },
+
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+
+  category: String,                         // Category of the first report
+
+  // open: still being reviewed or cleaned
+  // closed: every report is cleaned or rejected
+  // merged: reports moved into another issue (see mergedInto)
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'merged'],
+    default: 'open'
+  },
+
+  // Report that earned the full points (set on first approval)
+  primaryComplaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+
+  // Kept in sync by Issue.refreshStats
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  firstReportedAt: Date,
+  lastReportedAt: Date,                     // Clustering window is measured from here
+
+  // Merge / split bookkeeping
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  splitFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['merged_in', 'merged_into', 'split_out', 'split_from'],
+      required: true
+    },
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue'                          // The other issue involved
+    },
+    complaints: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    }],
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+
+  // Timestamps
+}, {
+  timestamps: true
+});
+
+/**
+ * INDEX: For "is there an open issue near this report?" queries
+ */
+issueSchema.index({ location: '2dsphere' });
+
+/**
+ * INDEX: For the issue review queue
+ */
+issueSchema.index({ ward: 1, status: 1, lastReportedAt: -1 });
+
+/**
+ * STATIC METHOD: Recalculate report count, dates and status
+ * from the linked complaints. Called whenever a complaint joins,
+ * leaves or changes status.
+ */
+issueSchema.statics.refreshStats = async function(issueId, { session = null } = {}) {
+  const Complaint = mongoose.model('Complaint');
+
+  const issue = await this.findById(issueId).session(session);
+  if (!issue || issue.status === 'merged') return issue;
+
+  const complaints = await Complaint.find({ issue: issueId })
+    .select('status createdAt')
+    .sort('createdAt')
+    .session(session);
+
+  issue.reportCount = complaints.length;
+  issue.firstReportedAt = complaints.length ? complaints[0].createdAt : undefined;
+  issue.lastReportedAt = complaints.length ? complaints[complaints.length - 1].createdAt : undefined;
+  issue.status = complaints.some(c => ACTIVE_COMPLAINT_STATUSES.includes(c.status)) ? 'open' : 'closed';
+
+  await issue.save();
+  return issue;
+};
+
+issueSchema.statics.ACTIVE_COMPLAINT_STATUSES = ACTIVE_COMPLAINT_STATUSES;
+
+// Create and export model
+const Issue = mongoose.model('Issue', issueSchema);
+module.exports = Issue;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY ISSUES?
+ * - Ten neighbours photograph the same dump → ten complaints
+ * - Without issues: ten reviews, ten cleanups, ten full payouts
+ * - With issues: one issue with ten reports, reviewed and cleaned once
+ *
+ * LIFECYCLE:
+ * - First report nearby → new open issue
+ * - More reports of the same category and ward within the radius/time window → linked to it
+ * - Everything cleaned or rejected → closed (new reports start a new issue)
+ * - Admin merges two issues → the absorbed one becomes "merged"
+ */
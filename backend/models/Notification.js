@@ -0,0 +1,112 @@
+// ================================
+// NOTIFICATION MODEL (In-App Inbox Structure)
+// ================================
+
+const mongoose = require('mongoose');
+
+// Read notifications are removed after this many days (unread ones stay)
+const READ_RETENTION_DAYS = 90;
+
+/**
+ * NOTIFICATION TYPES
+ * Titles and messages for each type live in utils/notifications.js
+ */
+const NOTIFICATION_TYPES = [
+  'complaint_approved',
+  'complaint_rejected',
+  'complaint_cleaned',
+  'cleanup_dispute_resolved',
+  'points_reviewed',                        // Held points released or denied
+  'redemption_fulfilled',
+  'redemption_rejected',
+  'badge_earned',
+  'sla_escalation'                          // Staff: a complaint in their ward is overdue
+];
+
+/**
+ * Notification Schema
+ * One message in a user's inbox
+ */
+const notificationSchema = new mongoose.Schema({
+
+  // Whose inbox?
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    maxlength: 120
+  },
+
+  message: {
+    type: String,
+    maxlength: 500
+  },
+
+  // What it is about (optional links)
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+
+  redemption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Redeem'
+  },
+
+  // When the user read it (empty = unread)
+  readAt: Date,
+
+  // Timestamps
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEX: For a user's inbox (newest first) and unread count
+ */
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+/**
+ * INDEX: MongoDB deletes read notifications after READ_RETENTION_DAYS
+ */
+notificationSchema.index(
+  { readAt: 1 },
+  { expireAfterSeconds: READ_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * STATIC METHOD: Number of unread notifications of a user
+ */
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+// Create and export model
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * INBOX:
+ * - "Your complaint was approved! +15 points" instead of refreshing the page
+ * - Created by the routes when something happens (utils/notifications.js)
+ *
+ * UNREAD:
+ * - readAt empty → unread (shown in bold, counted on the profile)
+ * - readAt set → read; MongoDB's TTL index removes it 90 days later
+ *   (a TTL index only deletes documents that have the date field)
+ */
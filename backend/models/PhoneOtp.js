@@ -0,0 +1,84 @@
+// ================================
+// PHONE OTP MODEL (One-Time SMS Codes)
+// ================================
+
+const mongoose = require('mongoose');
+
+// What the code is for
+const OTP_PURPOSES = [
+  'login',                                  // Log in or sign up with the phone number
+  'verify_phone'                            // Confirm the number of a logged-in account
+];
+
+/**
+ * PhoneOtp Schema
+ * One code sent by SMS. Only a keyed hash of the code is stored;
+ * a new code for the same number, purpose and account replaces the old one.
+ */
+const phoneOtpSchema = new mongoose.Schema({
+
+  // International format: +919876543210
+  phone: {
+    type: String,
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+
+  // verify_phone: the account asking
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  // Guesses so far (the code stops working after OTP_MAX_ATTEMPTS)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set once the code has been used
+  consumedAt: Date,
+
+  // SMS provider details (for support questions)
+  provider: String,
+  messageId: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEX: The current code of a number (per account for verify_phone)
+ */
+phoneOtpSchema.index({ phone: 1, purpose: 1, user: 1 }, { unique: true });
+
+/**
+ * INDEX: MongoDB deletes codes once they have expired
+ */
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+phoneOtpSchema.statics.OTP_PURPOSES = OTP_PURPOSES;
+
+// Create and export model
+const PhoneOtp = mongoose.model('PhoneOtp', phoneOtpSchema);
+module.exports = PhoneOtp;
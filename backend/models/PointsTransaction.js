@@ -0,0 +1,167 @@
+// ================================
+// POINTS TRANSACTION MODEL (Points Ledger Structure)
+// ================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Points Transaction Schema
+ * One entry per change to a user's reward points balance.
+ * The ledger is append-only: mistakes are fixed with a new
+ * 'reversal' or 'adjustment' entry, never by editing old ones.
+ */
+const pointsTransactionSchema = new mongoose.Schema({
+
+  // Whose balance changed?
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Why did it change?
+  type: {
+    type: String,
+    enum: [
+      'earn',                               // Complaint approved
+      'redeem',                             // Points spent on a reward
+      'reversal',                           // Undo of an earlier entry
+      'adjustment',                         // Manual correction by admin
+      'expiry'                              // Points expired
+    ],
+    required: true
+  },
+
+  // Signed change to rewardPoints (+ credit, - debit)
+  points: {
+    type: Number,
+    required: true
+  },
+
+  // Signed change to totalPointsEarned (lifetime points)
+  lifetimeDelta: {
+    type: Number,
+    default: 0
+  },
+
+  // User's rewardPoints right after this entry
+  // (set once the balance has changed - the entry is written first, see utils/points.js)
+  balanceAfter: Number,
+
+  // Human-readable reason shown to the citizen
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // What caused this entry (optional links)
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+
+  redemption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Redeem'
+  },
+
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PointsTransaction'               // Entry being undone
+  },
+
+  // Unique key for entries that must only happen once
+  // e.g. 'complaint:<id>:earn' - a retried approval can't pay twice
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Admin who made the change (empty for system entries)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEX: For a user's statement (newest first)
+ */
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ type: 1, createdAt: -1 });
+pointsTransactionSchema.index({ complaint: 1 });
+pointsTransactionSchema.index({ redemption: 1 });
+
+/**
+ * APPEND-ONLY GUARDS
+ * Existing entries can never be modified or deleted
+ */
+pointsTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Points ledger is append-only'));
+  }
+  next();
+});
+
+pointsTransactionSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(new Error('Points ledger is append-only'));
+});
+
+/**
+ * STATIC METHOD: Sum a user's ledger
+ * Returns the balance and lifetime points the ledger says they should have
+ */
+pointsTransactionSchema.statics.getTotals = async function(userId) {
+  const [totals] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: '$points' },
+        lifetimeEarned: { $sum: '$lifetimeDelta' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return totals || { balance: 0, lifetimeEarned: 0, count: 0 };
+};
+
+// Create and export model
+const PointsTransaction = mongoose.model('PointsTransaction', pointsTransactionSchema);
+module.exports = PointsTransaction;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * LEDGER = BANK STATEMENT:
+ * - Every credit or debit is a row
+ * - Balance = sum of all rows
+ * - Rows are never edited, only added
+ *
+ * TYPES:
+ * - earn: +15 (complaint approved)
+ * - redeem: -100 (Amazon voucher)
+ * - reversal: -15 (approval undone)
+ * - adjustment: +/- (admin correction)
+ * - expiry: -50 (old points expired)
+ *
+ * lifetimeDelta:
+ * - How much this row changes totalPointsEarned
+ * - earn → same as points
+ * - redeem → 0 (spending doesn't reduce lifetime earnings)
+ */
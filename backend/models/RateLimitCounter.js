@@ -0,0 +1,39 @@
+// ================================
+// RATE LIMIT COUNTER MODEL
+// ================================
+
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter Schema
+ * Requests counted in one window for one key (used by the mongo rate limit
+ * store, so every server shares the same counts). _id is the key,
+ * e.g. "login:ip:203.0.113.7:1234567".
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+
+  _id: String,
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // The counter is useless after this (deleted by MongoDB)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  versionKey: false
+});
+
+/**
+ * INDEX: MongoDB deletes counters once their window is over
+ */
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export model
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+module.exports = RateLimitCounter;
@@ -48,10 +48,28 @@ const redeemSchema = new mongoose.Schema({
   // Redemption Status
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'fulfilled'],
+    enum: ['pending', 'approved', 'rejected', 'fulfilled', 'cancelled'],
     default: 'pending'
   },
   
+  // Points held in escrow while the request is open
+  escrow: {
+    status: {
+      type: String,
+      enum: ['held', 'released', 'consumed']
+    },
+    holdTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PointsTransaction'              // Ledger entry that took the points
+    },
+    releaseTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PointsTransaction'              // Ledger entry that gave them back
+    },
+    heldAt: Date,
+    settledAt: Date                         // Released or consumed
+  },
+  
   // User contact details for reward delivery
   contactDetails: {
     email: {
@@ -148,9 +166,18 @@ redeemSchema.methods.validatePoints = async function() {
 };
 
 /**
- * PRE-SAVE HOOK: Calculate reward value automatically
+ * METHOD: Can this request still be changed?
+ * Fulfilled, rejected and cancelled requests are final
+ */
+redeemSchema.methods.isOpen = function() {
+  return ['pending', 'approved'].includes(this.status);
+};
+
+/**
+ * PRE-VALIDATE HOOK: Calculate reward value automatically
+ * (runs before validation, so the required rewardValue is already set)
  */
-redeemSchema.pre('save', function(next) {
+redeemSchema.pre('validate', function(next) {
   if (this.isNew) {
     // Calculate reward value based on points
     this.rewardValue = this.constructor.calculateRewardValue(this.pointsRedeemed);
@@ -167,11 +194,15 @@ module.exports = Redeem;
  * 
  * REDEMPTION FLOW:
  * 1. User requests to redeem 100 points
- * 2. System checks if user has 100 points
+ * 2. System takes 100 points from balance into escrow (held)
  * 3. System calculates: 100 points = ₹10 voucher
  * 4. Request goes to admin (status: pending)
- * 5. Admin approves → sends voucher code
- * 6. User's points deducted
+ * 5. Admin approves → sends voucher code (escrow consumed)
+ * 6. Admin rejects / user cancels → points returned (escrow released)
+ *
+ * WHY ESCROW?
+ * - Without it, 5 requests of 100 points on a 100 point balance
+ *   would all look valid until an admin approved them
  * 
  * CONVERSION RATE:
  * - 10 points = ₹1
@@ -184,6 +215,7 @@ module.exports = Redeem;
  * 
  * STATUS FLOW:
  * pending → approved → fulfilled
- *    ↓
- * rejected
+ *    │          └→ rejected
+ *    ├→ rejected
+ *    └→ cancelled (by user)
  */
\ No newline at end of file
@@ -0,0 +1,116 @@
+// ================================
+// SESSION MODEL (Logged-In Devices)
+// ================================
+
+const mongoose = require('mongoose');
+
+// Why a session ended
+const REVOKE_REASONS = [
+  'logout',
+  'logout_all',                             // "Log out everywhere"
+  'revoked',                                // Ended from the device list
+  'password_change',
+  'password_reset',
+  'deactivated',                            // Account deactivated by staff
+  'two_factor',                             // Two-factor turned on or reset
+  'token_reuse'                             // An old refresh token came back - probably stolen
+];
+
+/**
+ * Session Schema
+ * One logged-in device. It holds the device's refresh token (hashed);
+ * access tokens name their session, so ending it logs the device out.
+ */
+const sessionSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token (replaced on every refresh)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // The token it replaced - seeing it again means someone kept a copy
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Device details for the "active devices" list
+  userAgent: String,
+  ip: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Refresh token expiry (pushed back on every refresh)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+
+  // Timestamps
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * INDEXES: Refresh token lookup, a user's devices
+ */
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * INDEX: MongoDB deletes sessions once their refresh token has expired
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * STATIC METHOD: Is this session still logged in?
+ */
+sessionSchema.statics.isActive = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  return Boolean(await this.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+// Create and export model
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * TWO TOKENS:
+ * - Access token: a JWT sent with every request, valid for 15 minutes
+ * - Refresh token: a random string kept by the app, only sent to
+ *   POST /api/auth/refresh to get a new access token
+ *
+ * ROTATION:
+ * - Each refresh returns a NEW refresh token and retires the old one
+ * - If a retired token is used again, two parties have it (one of them
+ *   stole it) → the session is ended and both must log in again
+ */
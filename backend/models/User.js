@@ -5,6 +5,16 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, STAFF_ROLES, roleHasPermission } = require('../config/permissions');
+const { OPTIONAL_EMAIL_EVENTS } = require('../config/email');
+const { lockoutMinutes, LOCKOUT_RESET_HOURS } = require('../config/rateLimit');
+const { TWO_FACTOR_REQUIRED } = require('../config/auth');
+
+// Email and password are needed unless the phone number is verified
+function requiredWithoutPhone() {
+  return !this.isPhoneVerified;
+}
 
 /**
  * User Schema - Blueprint of user data
@@ -19,32 +29,113 @@ const userSchema = new mongoose.Schema({
     trim: true              // Remove extra spaces
   },
   
+  // Email and password are optional for accounts that signed up
+  // with a verified phone number (SMS code login)
   email: {
     type: String,
-    required: true,
+    required: requiredWithoutPhone,
     unique: true,           // No two users can have same email
+    sparse: true,           // ...but many may have none
     lowercase: true,        // Convert to lowercase automatically
     trim: true
   },
   
   password: {
     type: String,
-    required: true,
+    required: requiredWithoutPhone,
     minlength: 6            // Minimum 6 characters
   },
   
+  // Login tokens issued before this are no longer accepted (see middleware/auth.js)
+  passwordChangedAt: Date,
+  
+  // Email ownership - false until the link in the welcome email is opened.
+  // Accounts from before verification existed have no value and count as verified.
+  isEmailVerified: Boolean,
+  
+  emailVerifiedAt: Date,
+  
+  // One-time links: only a hash of the token is stored (see createAccountToken)
+  emailVerification: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    sentAt: Date
+  },
+  
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  
+  // Wrong passwords in a row - enough of them lock the login (see config/rateLimit.js)
+  loginFailures: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
+  
+  // Two-factor login with an authenticator app (see utils/twoFactor.js)
+  // Staff must turn it on before using staff routes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for its first code during setup
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code - each code works only once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Hashes of the one-time recovery codes
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: Date, _id: false }],
+      select: false
+    }
+  },
+  
+  // Verified numbers are stored in international format (+919876543210)
   phone: {
     type: String,
     trim: true
   },
   
-  // User Role (citizen or admin)
+  // Confirmed with an SMS code - one account per verified number (see index below)
+  isPhoneVerified: Boolean,
+  
+  phoneVerifiedAt: Date,
+  
+  // User Role (what they may do - see config/permissions.js)
   role: {
     type: String,
-    enum: ['citizen', 'admin'],  // Only these two values allowed
+    enum: ROLES,                  // citizen, reviewer, ward_officer, ...
     default: 'citizen'            // If not specified, use 'citizen'
   },
   
+  // Ward this staff member works for (empty = whole city)
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+  
   // Address Information
   address: {
     street: String,
@@ -91,6 +182,24 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Fraud risk from report movement analysis (see utils/risk.js) - staff only
+  risk: {
+    score: {
+      type: Number,
+      default: 0                  // 0 = no concerns, 100 = almost certainly fake
+    },
+    highRiskReports: {
+      type: Number,
+      default: 0
+    },
+    lastAssessedAt: Date
+  },
+  
+  // Which emails the user wants (see config/email.js) - all on by default
+  emailPreferences: Object.fromEntries(
+    OPTIONAL_EMAIL_EVENTS.map(event => [event, { type: Boolean, default: true }])
+  ),
+  
   // Account Status
   isActive: {
     type: Boolean,
@@ -118,18 +227,200 @@ userSchema.pre('save', async function(next) {
   // Hash the password with salt
   this.password = await bcrypt.hash(this.password, salt);
   
+  // A changed password logs out every device still using an older token
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+  
   next(); // Continue with save operation
 });
 
+/**
+ * INDEXES: Find the account of a one-time link
+ */
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+
+/**
+ * INDEX: A verified phone number belongs to one account only
+ * (unverified numbers typed at registration may repeat)
+ */
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { isPhoneVerified: true } });
+
+/**
+ * JSON OUTPUT: Never send one-time link hashes or two-factor secrets to the client
+ * (they are select: false, but a document that just created one still holds it)
+ */
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.emailVerification) delete ret.emailVerification.tokenHash;
+    if (ret.passwordReset) delete ret.passwordReset.tokenHash;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.lastUsedStep;
+      delete ret.twoFactor.recoveryCodes;
+    }
+    return ret;
+  }
+});
+
+/**
+ * STATIC METHOD: Hash a one-time link token (for lookups)
+ */
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * METHOD: Create a one-time link token
+ * kind: 'emailVerification' or 'passwordReset'
+ * Stores the hash and expiry, returns the token for the email. Caller must save().
+ * A new token replaces the previous one, so older links stop working.
+ */
+userSchema.methods.createAccountToken = function(kind, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this[kind] = {
+    tokenHash: this.constructor.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    ...(kind === 'emailVerification' && { sentAt: new Date() })
+  };
+  
+  return token;
+};
+
+/**
+ * METHOD: Was the login token issued before the last password change?
+ * iat = token's "issued at" time in seconds
+ */
+userSchema.methods.changedPasswordAfter = function(iat) {
+  return Boolean(this.passwordChangedAt) && iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
 /**
  * METHOD: Compare entered password with hashed password
  * Used during login
  */
 userSchema.methods.comparePassword = async function(enteredPassword) {
+  // Phone-only accounts have no password
+  if (!this.password) return false;
+  
   // bcrypt.compare returns true if passwords match
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * METHOD: Seconds until a locked login opens again (0 = not locked)
+ */
+userSchema.methods.loginLockedFor = function(now = new Date()) {
+  const lockedUntil = this.loginFailures && this.loginFailures.lockedUntil;
+  return lockedUntil && lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+};
+
+/**
+ * STATIC METHOD: Count a wrong password
+ * Atomic, so parallel guesses are all counted. From the threshold on
+ * each failure locks the login, twice as long as the one before.
+ * Returns the seconds the login is now locked for (0 = not locked)
+ */
+userSchema.statics.recordFailedLogin = async function(userId, now = new Date()) {
+  // Failures long ago don't count towards a lockout any more
+  await this.updateOne(
+    { _id: userId, 'loginFailures.lastFailedAt': { $lt: new Date(now.getTime() - LOCKOUT_RESET_HOURS * 60 * 60 * 1000) } },
+    { $set: { 'loginFailures.count': 0 } }
+  );
+  
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { 'loginFailures.count': 1 }, $set: { 'loginFailures.lastFailedAt': now } },
+    { new: true }
+  ).select('loginFailures');
+  
+  const minutes = user ? lockoutMinutes(user.loginFailures.count) : 0;
+  if (minutes === 0) return 0;
+  
+  await this.updateOne(
+    { _id: userId },
+    { $set: { 'loginFailures.lockedUntil': new Date(now.getTime() + minutes * 60 * 1000) } }
+  );
+  
+  return minutes * 60;
+};
+
+/**
+ * STATIC METHOD: Forget wrong passwords (successful login, password reset)
+ */
+userSchema.statics.clearFailedLogins = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { 'loginFailures.count': 0 }, $unset: { 'loginFailures.lockedUntil': 1 } }
+  );
+};
+
+/**
+ * METHOD: Must this account use two-factor login? (staff, see config/auth.js)
+ */
+userSchema.methods.requiresTwoFactor = function() {
+  return TWO_FACTOR_REQUIRED && this.isStaff();
+};
+
+/**
+ * STATIC METHOD: Accept an authenticator code's time step, once
+ * Atomic: false if this (or a later) code was already used
+ */
+userSchema.statics.useTotpStep = async function(userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  
+  return result.modifiedCount === 1;
+};
+
+/**
+ * STATIC METHOD: Use up a recovery code (by hash)
+ * Returns false if it doesn't exist or was used before
+ */
+userSchema.statics.useRecoveryCode = async function(userId, hash) {
+  const result = await this.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  
+  return result.modifiedCount === 1;
+};
+
+/**
+ * METHOD: Check if user's role grants a permission
+ * Example: user.hasPermission('complaint:approve')
+ */
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+/**
+ * METHOD: Is this a municipal staff account (any role except citizen)?
+ */
+userSchema.methods.isStaff = function() {
+  return STAFF_ROLES.includes(this.role);
+};
+
+/**
+ * METHOD: Does the user want emails for this event?
+ * Events that cannot be turned off (e.g. password reset) always return true
+ */
+userSchema.methods.wantsEmail = function(event) {
+  if (!OPTIONAL_EMAIL_EVENTS.includes(event)) return true;
+  return this.emailPreferences?.[event] !== false;
+};
+
 /**
  * METHOD: Check if user qualifies for new badges
  */
@@ -172,12 +463,17 @@ userSchema.methods.checkAndAwardBadges = function() {
     });
   }
   
+  // Skip badges the user already owns (safe to call twice)
+  const earned = newBadges.filter(
+    badge => !this.badges.some(owned => owned.name === badge.name)
+  );
+  
   // Add new badges to user's badge collection
-  if (newBadges.length > 0) {
-    this.badges.push(...newBadges);
+  if (earned.length > 0) {
+    this.badges.push(...earned);
   }
   
-  return newBadges;
+  return earned;
 };
 
 // Create and export User model
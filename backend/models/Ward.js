@@ -0,0 +1,97 @@
+// ================================
+// WARD MODEL (Municipal Service Areas)
+// ================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Ward Schema
+ * A ward is one municipal office's area, stored as a GeoJSON polygon.
+ * New complaints are routed to the ward that contains their location.
+ */
+const wardSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Short unique code from the city's GeoJSON (e.g. 'W-12')
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  city: {
+    type: String,
+    trim: true
+  },
+
+  // Ward boundary (GeoJSON geometry)
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,   // Nested arrays of [longitude, latitude]
+      required: true
+    }
+  },
+
+  // Inactive wards keep their history but receive no new complaints
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Timestamps
+}, {
+  timestamps: true
+});
+
+/**
+ * INDEX: For "which ward contains this point?" queries
+ */
+wardSchema.index({ boundary: '2dsphere' });
+
+/**
+ * STATIC METHOD: Find the active ward containing a point
+ * coordinates = [longitude, latitude]
+ */
+wardSchema.statics.findByPoint = function(coordinates) {
+  return this.findOne({
+    isActive: true,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates }
+      }
+    }
+  });
+};
+
+// Create and export model
+const Ward = mongoose.model('Ward', wardSchema);
+module.exports = Ward;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * POLYGON:
+ * - A closed shape: list of corner points, first point = last point
+ * - { type: 'Polygon', coordinates: [[[77.20, 28.61], [77.22, 28.61],
+ *                                     [77.22, 28.63], [77.20, 28.61]]] }
+ *
+ * $geoIntersects:
+ * - "Which polygons contain (or touch) this point?"
+ * - Needs the 2dsphere index on boundary
+ *
+ * IMPORT:
+ * - Cities publish ward maps as GeoJSON files
+ * - node import-wards.js wards.geojson
+ */
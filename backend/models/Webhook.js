@@ -0,0 +1,100 @@
+// ================================
+// WEBHOOK MODEL (Subscriptions of Other City Systems)
+// ================================
+
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+/**
+ * Webhook Schema
+ * "POST these events to this URL", managed by admins
+ */
+const webhookSchema = new mongoose.Schema({
+
+  // Who receives it (e.g. "Sanitation department ticketing")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'URL must be an http(s) address'
+    }
+  },
+
+  // Signs every payload (HMAC-SHA256) - only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Pick at least one event'
+    }
+  },
+
+  // Paused webhooks get no new deliveries
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Result of the latest delivery attempt (quick health check in the list)
+  lastDelivery: {
+    at: Date,
+    status: {
+      type: String,
+      enum: ['delivered', 'failed']
+    },
+    responseStatus: Number
+  },
+
+  // Timestamps
+}, {
+  timestamps: true
+});
+
+/**
+ * INDEX: Active webhooks for an event
+ */
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Create and export model
+const Webhook = mongoose.model('Webhook', webhookSchema);
+module.exports = Webhook;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WEBHOOK = "call me when something happens"
+ * - The sanitation department's ticketing system registers its URL
+ *   for complaint.approved
+ * - When a complaint is approved, we POST the complaint to that URL
+ *
+ * SECRET:
+ * - Both sides know it; we sign every payload with it
+ * - The receiver recomputes the signature to check the request really
+ *   came from us and was not changed on the way
+ */
@@ -0,0 +1,105 @@
+// ================================
+// WEBHOOK DELIVERY MODEL (Delivery Log and Queue)
+// ================================
+
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, PING_EVENT } = require('../config/webhooks');
+
+// Delivery log entries are removed after this many days
+const RETENTION_DAYS = 30;
+
+/**
+ * WebhookDelivery Schema
+ * One event sent (or to be sent) to one webhook
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+
+  event: {
+    type: String,
+    enum: [...WEBHOOK_EVENTS, PING_EVENT],
+    required: true
+  },
+
+  // Exact JSON body sent: { id, event, createdAt, data }
+  // (a redelivery sends the same body, so receivers can skip duplicates by id)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'delivered', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Not sent before this time (pushed back after every failed attempt)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When a worker picked it up (status 'sending')
+  lockedAt: Date,
+
+  // What the receiver answered on the latest attempt
+  responseStatus: Number,
+  responseBody: String,                     // First 1000 characters
+  durationMs: Number,
+  lastError: String,
+
+  deliveredAt: Date,
+
+  // Manual redelivery: the delivery it repeats
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+
+  // Timestamps
+}, {
+  timestamps: true
+});
+
+/**
+ * INDEX: For the queue worker (oldest due delivery first)
+ */
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * INDEX: Delivery log of a webhook (newest first)
+ */
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+/**
+ * INDEX: MongoDB deletes log entries after RETENTION_DAYS
+ */
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Create and export model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports = WebhookDelivery;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * STATUS:
+ * - queued → sending → delivered (receiver answered 2xx)
+ * - sending → queued again (with a later nextAttemptAt) when it fails
+ * - failed = gave up after MAX_ATTEMPTS (see config/webhooks.js);
+ *   an admin can redeliver it once the receiver is fixed
+ */
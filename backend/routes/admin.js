@@ -1,119 +1,664 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, requirePermission, tokenFromQuery } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const AuditLog = require('../models/AuditLog');
 const { checkAutoBadges } = require('../utils/gamification');
-const { upload, uploadToCloudinary } = require('../utils/cloudinary');
+const { uploadMedia, getUploadedFiles } = require('../utils/upload');
+const { submitCleanupProof } = require('../utils/cleanup');
+const PointsTransaction = require('../models/PointsTransaction');
+const { awardPoints, adjustPoints, reverseTransaction, reconcileUserPoints } = require('../utils/points');
+const { runInTransaction } = require('../utils/transaction');
+const httpError = require('../utils/httpError');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const Ward = require('../models/Ward');
+const { importWardsFromGeoJSON, wardScope, hasWardAccess, assertWardAccess } = require('../utils/wards');
+const { toCsv } = require('../utils/audit');
+const { getSlaCompliance } = require('../utils/sla');
+const Issue = require('../models/Issue');
+const { findIssueSiblings, assignIssueRole, mergeIssues, splitIssue } = require('../utils/issues');
+const { getPointsHoldReason } = require('../utils/risk');
+const { notify } = require('../utils/notifications');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { emitWebhookEvent, generateSecret, sendPing, redeliver } = require('../utils/webhooks');
+const { streamAdminEvents } = require('../utils/adminEvents');
+const { STREAM_EVENTS } = require('../config/stream');
+const { revokeUserSessions } = require('../utils/sessions');
 
-// Approve Complaint
-router.put('/complaints/:id/approve', protect, admin, async (req, res) => {
+// Approve Complaint (pending or reopened → approved)
+// Approving one report approves the other reports of its issue still awaiting review
+// (unflagged ones in wards the approver may act on - the rest keep their own review)
+// Complaints, points, user stats and badges change in one transaction
+router.put('/complaints/:id/approve', protect, requirePermission('complaint:approve'),
+  audit('complaint.approve', 'Complaint'), async (req, res) => {
   try {
-    const complaint = await Complaint.findById(req.params.id);
+    const complaint = await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(req.params.id).session(session);
+      
+      if (!complaint) {
+        throw httpError('Not found', 404);
+      }
+      
+      assertWardAccess(req.user, complaint);
+      
+      if (complaint.hasOpenCleanupDispute()) {
+        throw httpError('This complaint has a cleanup dispute, resolve it instead', 409);
+      }
+      
+      // Without transactions a crash can leave complaints approved but
+      // unpaid; approving again finishes the remaining steps
+      const isUnpaid = async (c) => !session && c.status === 'approved' && !c.pointsHold.status &&
+        !(await PointsTransaction.exists({ idempotencyKey: `complaint:${c._id}:earn` }));
+      
+      // Disputed cleanups of the issue are not new reports - they keep their own review.
+      // Flagged reports and reports of other wards stay pending for their own review too.
+      const siblings = (await findIssueSiblings(complaint,
+        session ? ['pending', 'reopened'] : ['pending', 'reopened', 'approved'], { session }))
+        .filter(sibling => !sibling.hasOpenCleanupDispute() &&
+          sibling.fraudFlags.length === 0 &&
+          hasWardAccess(req.user, sibling));
+      
+      // Earliest report first, so it becomes the issue's primary report
+      const reports = [complaint, ...siblings].sort((a, b) => a.createdAt - b.createdAt);
+      const reporters = new Set();
+      
+      for (const report of reports) {
+        const resuming = await isUnpaid(report);
+        
+        // Paid siblings are already done
+        if (report !== complaint && report.status === 'approved' && !resuming) continue;
+        
+        if (!resuming) {
+          // Update complaint (throws if it is not awaiting review)
+          report.transitionTo('approved', { by: req.user._id, reason: req.body.notes });
+          await assignIssueRole(report, { session });
+          report.reviewedBy = req.user._id;
+          report.reviewedAt = new Date();
+          
+          // Risky reports are approved, but their points wait for a manual review
+          const holdReason = await getPointsHoldReason(report, { session });
+          if (holdReason) {
+            report.pointsHold = { status: 'held', reason: holdReason, heldAt: new Date() };
+          }
+          
+          await report.save();
+        }
+        
+        const stats = {
+          'stats.approvedComplaints': 1,
+          'stats.pendingComplaints': -1
+        };
+        
+        if (report.pointsHold.status === 'held') {
+          // Stats only - points are paid if the hold is released
+          await User.updateOne({ _id: report.user }, { $inc: stats }, { session });
+        } else {
+          // Award points and update stats in the same user update
+          await awardPoints(report.user, report.pointsAwarded, {
+            complaint: report._id,
+            description: report.issueRole === 'confirmation' ? 'Confirmed a reported issue' : undefined,
+            createdBy: req.user._id,
+            idempotencyKey: `complaint:${report._id}:earn`,
+            userInc: stats,
+            session
+          });
+        }
+        
+        // A resumed approval already told the reporter
+        if (!resuming) {
+          await notify(report.user, 'complaint_approved', {
+            complaint: report,
+            points: report.pointsAwarded,
+            held: report.pointsHold.status === 'held'
+          }, { session });
+          await emitWebhookEvent('complaint.approved', report, { session });
+        }
+        
+        reporters.add(report.user.toString());
+      }
+      
+      // Check for badges
+      for (const userId of reporters) {
+        await checkAutoBadges(userId, { session });
+      }
+      
+      return complaint;
+    });
     
-    if (!complaint) {
+    res.json({
+      success: true,
+      message: complaint.pointsHold.status === 'held' ? 'Complaint approved, points held for review' : 'Complaint approved',
+      data: complaint
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Release Held Points (risky report checked and found genuine → pay the reporter)
+router.put('/complaints/:id/points/release', protect, requirePermission('points:adjust'),
+  audit('complaint.points_release', 'Complaint'), async (req, res) => {
+  try {
+    const complaint = await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(req.params.id).session(session);
+      
+      if (!complaint) {
+        throw httpError('Not found', 404);
+      }
+      
+      assertWardAccess(req.user, complaint);
+      
+      if (complaint.pointsHold.status !== 'held') {
+        throw httpError('No points are held for this complaint', 409);
+      }
+      
+      complaint.pointsHold.status = 'released';
+      complaint.pointsHold.reviewedBy = req.user._id;
+      complaint.pointsHold.reviewedAt = new Date();
+      complaint.pointsHold.notes = req.body.notes;
+      await complaint.save();
+      
+      // Same key as a normal approval, so it can never be paid twice
+      await awardPoints(complaint.user, complaint.pointsAwarded, {
+        complaint: complaint._id,
+        description: 'Points released after review',
+        createdBy: req.user._id,
+        idempotencyKey: `complaint:${complaint._id}:earn`,
+        session
+      });
+      
+      await notify(complaint.user, 'points_reviewed', {
+        complaint,
+        points: complaint.pointsAwarded,
+        released: true
+      }, { session });
+      
+      return complaint;
+    });
+    
+    res.json({ success: true, message: `${complaint.pointsAwarded} points released`, data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Deny Held Points (risky report judged fake → no points, complaint stays as it is)
+router.put('/complaints/:id/points/deny', protect, requirePermission('points:adjust'),
+  audit('complaint.points_deny', 'Complaint'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Reason required' });
+    }
+    
+    const existing = await Complaint.findById(req.params.id).select('ward');
+    
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Not found' });
     }
     
-    // Calculate points
-    const points = complaint.calculatePoints();
+    assertWardAccess(req.user, existing);
     
-    // Update complaint
-    complaint.status = 'approved';
-    complaint.pointsAwarded = points;
-    complaint.reviewedBy = req.user._id;
-    complaint.reviewedAt = new Date();
-    await complaint.save();
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id: req.params.id, 'pointsHold.status': 'held' },
+      {
+        $set: {
+          'pointsHold.status': 'denied',
+          'pointsHold.reviewedBy': req.user._id,
+          'pointsHold.reviewedAt': new Date(),
+          'pointsHold.notes': reason
+        }
+      },
+      { new: true }
+    );
     
-    // Award points to user
-    const user = await User.findById(complaint.user);
-    user.rewardPoints += points;
-    user.totalPointsEarned += points;
-    user.stats.approvedComplaints += 1;
-    user.stats.pendingComplaints -= 1;
-    await user.save();
+    if (!complaint) {
+      return res.status(409).json({ success: false, message: 'No points are held for this complaint' });
+    }
     
-    // Check for badges
-    await checkAutoBadges(user._id);
+    await notify(complaint.user, 'points_reviewed', { complaint, released: false, reason });
     
-    res.json({ success: true, message: 'Complaint approved', data: complaint });
+    res.json({ success: true, message: 'Held points denied', data: complaint });
     
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Reject Complaint (pending or reopened → rejected)
+router.put('/complaints/:id/reject', protect, requirePermission('complaint:approve'),
+  audit('complaint.reject', 'Complaint'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const complaint = await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(req.params.id).session(session);
+      
+      if (!complaint) {
+        throw httpError('Not found', 404);
+      }
+      
+      assertWardAccess(req.user, complaint);
+      
+      if (complaint.hasOpenCleanupDispute()) {
+        throw httpError('This complaint has a cleanup dispute, resolve it instead', 409);
+      }
+      
+      complaint.transitionTo('rejected', { by: req.user._id, reason });
+      complaint.rejectionReason = reason;
+      complaint.reviewedBy = req.user._id;
+      complaint.reviewedAt = new Date();
+      await complaint.save();
+      
+      await notify(complaint.user, 'complaint_rejected', { complaint, reason }, { session });
+      await emitWebhookEvent('complaint.rejected', complaint, { session });
+      
+      // Update user stats
+      await User.updateOne({ _id: complaint.user }, {
+        $inc: { 
+          'stats.rejectedComplaints': 1,
+          'stats.pendingComplaints': -1
+        }
+      }, { session });
+      
+      return complaint;
+    });
+    
+    res.json({ success: true, message: 'Complaint rejected', data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-// Reject Complaint
-router.put('/complaints/:id/reject', protect, admin, async (req, res) => {
+// Reopen Rejected Complaint (rejected → reopened, back in the review queue)
+router.put('/complaints/:id/reopen', protect, requirePermission('complaint:approve'),
+  audit('complaint.reopen', 'Complaint'), async (req, res) => {
   try {
     const { reason } = req.body;
     
+    const complaint = await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(req.params.id).session(session);
+      
+      if (!complaint) {
+        throw httpError('Not found', 404);
+      }
+      
+      assertWardAccess(req.user, complaint);
+      
+      // Cleaned complaints are reopened by their reporter's dispute, not here
+      if (complaint.status !== 'rejected') {
+        throw httpError(`Cannot reopen a ${complaint.status} complaint`, 409);
+      }
+      
+      complaint.transitionTo('reopened', { by: req.user._id, reason });
+      complaint.rejectionReason = undefined;
+      await complaint.save();
+      
+      await emitWebhookEvent('complaint.reopened', complaint, { session });
+      
+      // Counts as pending again
+      await User.updateOne({ _id: complaint.user }, {
+        $inc: { 
+          'stats.rejectedComplaints': -1,
+          'stats.pendingComplaints': 1
+        }
+      }, { session });
+      
+      return complaint;
+    });
+    
+    res.json({ success: true, message: 'Complaint reopened', data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Resolve Cleanup Dispute (reopened by the reporter or an upvoter)
+// uphold → approved, to be cleaned again; dismiss → back to cleaned
+router.put('/complaints/:id/cleanup-dispute', protect, requirePermission('complaint:approve'),
+  audit('complaint.dispute_resolve', 'Complaint'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    
+    if (!['uphold', 'dismiss'].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'Decision must be uphold or dismiss' });
+    }
+    
     const complaint = await Complaint.findById(req.params.id);
     
     if (!complaint) {
       return res.status(404).json({ success: false, message: 'Not found' });
     }
     
-    complaint.status = 'rejected';
-    complaint.rejectionReason = reason;
-    complaint.reviewedBy = req.user._id;
-    complaint.reviewedAt = new Date();
+    assertWardAccess(req.user, complaint);
+    
+    if (!complaint.hasOpenCleanupDispute()) {
+      return res.status(409).json({ success: false, message: 'No open cleanup dispute' });
+    }
+    
+    // Points and stats were settled at the first approval; nothing to pay again
+    complaint.transitionTo(decision === 'uphold' ? 'approved' : 'cleaned', { by: req.user._id, reason: notes });
+    complaint.cleanupDispute.status = decision === 'uphold' ? 'upheld' : 'dismissed';
+    complaint.cleanupDispute.resolvedBy = req.user._id;
+    complaint.cleanupDispute.resolvedAt = new Date();
+    complaint.cleanupDispute.notes = notes;
     await complaint.save();
     
-    // Update user stats
-    await User.findByIdAndUpdate(complaint.user, {
-      $inc: { 
-        'stats.rejectedComplaints': 1,
-        'stats.pendingComplaints': -1
-      }
+    await notify(complaint.cleanupDispute.openedBy, 'cleanup_dispute_resolved', {
+      complaint,
+      upheld: decision === 'uphold'
     });
     
-    res.json({ success: true, message: 'Complaint rejected', data: complaint });
+    // Back to approved (clean again) or cleaned - tell systems that saw it reopen
+    await emitWebhookEvent(`complaint.${complaint.status}`, complaint);
+    
+    res.json({
+      success: true,
+      message: decision === 'uphold' ? 'Dispute upheld, complaint needs cleaning again' : 'Dispute dismissed, complaint stays cleaned',
+      data: complaint
+    });
     
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Start Cleanup (approved → in_progress)
+router.put('/complaints/:id/start', protect, requirePermission('complaint:cleanup'),
+  audit('complaint.start', 'Complaint'), async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    
+    if (!complaint) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    assertWardAccess(req.user, complaint);
+    
+    complaint.transitionTo('in_progress', { by: req.user._id, reason: req.body.notes });
+    complaint.recordWorkOrderEvent('started', { by: req.user._id, notes: req.body.notes });
+    await complaint.save();
+    
+    res.json({ success: true, message: 'Cleanup started', data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-// Upload Cleanup Proof
-router.put('/complaints/:id/cleanup-proof', protect, admin, 
-  upload.single('photo'), async (req, res) => {
+// Upload Cleanup Proof (approved or in_progress → cleaned)
+router.put('/complaints/:id/cleanup-proof', protect, requirePermission('complaint:cleanup'),
+  audit('complaint.cleanup', 'Complaint'), uploadMedia, async (req, res) => {
     try {
-      const complaint = await Complaint.findById(req.params.id);
+      const existing = await Complaint.findById(req.params.id);
       
-      if (!req.file) {
-        return res.status(400).json({ success: false, message: 'Photo required' });
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Not found' });
       }
       
-      const result = await uploadToCloudinary(req.file.buffer, 'cleanup-proof');
+      assertWardAccess(req.user, existing);
       
-      complaint.cleanupProof = {
-        photo: {
-          url: result.secure_url,
-          publicId: result.public_id
-        },
-        uploadedBy: req.user._id,
-        uploadedAt: new Date(),
+      const complaint = await submitCleanupProof(existing, {
+        files: getUploadedFiles(req),
+        user: req.user,
         notes: req.body.notes
-      };
-      complaint.status = 'cleaned';
-      await complaint.save();
+      });
       
       res.json({ success: true, message: 'Cleanup proof uploaded', data: complaint });
       
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Assign / Reassign Cleanup Crew (approved or in_progress complaints)
+router.put('/complaints/:id/assign', protect, requirePermission('workorder:assign'),
+  audit('workorder.assign', 'Complaint'), async (req, res) => {
+  try {
+    const { crewId, notes } = req.body;
+    
+    const crew = crewId && mongoose.isValidObjectId(crewId)
+      ? await User.findById(crewId).select('-password')
+      : null;
+    
+    if (!crew || !crew.isActive || !crew.hasPermission('workorder:work')) {
+      return res.status(400).json({ success: false, message: 'Valid active crew member required' });
     }
+    
+    const complaint = await Complaint.findById(req.params.id);
+    
+    if (!complaint) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    assertWardAccess(req.user, complaint);
+    
+    // Crew tied to a ward only work in that ward
+    if (crew.ward && (!complaint.ward || complaint.ward.toString() !== crew.ward.toString())) {
+      return res.status(400).json({ success: false, message: 'Crew member works in another ward' });
+    }
+    
+    if (complaint.workOrder.assignedTo && complaint.workOrder.assignedTo.toString() === crew._id.toString()) {
+      return res.status(400).json({ success: false, message: 'Already assigned to this crew member' });
+    }
+    
+    complaint.assignCrew(crew._id, { by: req.user._id, notes });
+    await complaint.save();
+    
+    res.json({ success: true, message: `Assigned to ${crew.name}`, data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Remove Crew Assignment
+router.delete('/complaints/:id/assign', protect, requirePermission('workorder:assign'),
+  audit('workorder.unassign', 'Complaint'), async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    
+    if (!complaint) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    assertWardAccess(req.user, complaint);
+    
+    complaint.unassignCrew({ by: req.user._id, notes: req.body.notes });
+    await complaint.save();
+    
+    res.json({ success: true, message: 'Crew unassigned', data: complaint });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Issues (clusters of reports of the same spot; ?status=open|closed|merged)
+router.get('/issues', protect, requirePermission('complaint:view_all'), async (req, res) => {
+  try {
+    const { status = 'open', minReports, page = 1, limit = 20 } = req.query;
+    
+    const filter = { status };
+    if (minReports) filter.reportCount = { $gte: parseInt(minReports) };
+    
+    const ward = wardScope(req.user, req.query.ward);
+    if (ward) filter.ward = ward;
+    
+    const skip = (page - 1) * limit;
+    
+    // Most reported first
+    const issues = await Issue.find(filter)
+      .select('-history')
+      .populate('ward', 'name code')
+      .populate('primaryComplaint', 'user status pointsAwarded')
+      .sort({ reportCount: -1, lastReportedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await Issue.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        issues,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Issue with all its reports
+router.get('/issues/:id', protect, requirePermission('complaint:view_all'), async (req, res) => {
+  try {
+    const issue = await Issue.findById(req.params.id)
+      .populate('ward', 'name code')
+      .populate('history.by', 'name');
+    
+    if (!issue) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    assertWardAccess(req.user, issue);
+    
+    const complaints = await Complaint.find({ issue: issue._id })
+      .select('user photo.url media.type media.url media.thumbnail media.order location description category status issueRole pointsAwarded fraudFlags createdAt')
+      .populate('user', 'name email')
+      .sort('createdAt');
+    
+    res.json({ success: true, data: { issue, complaints } });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Merge Issues (body: { issueIds: [...] } are merged into :id)
+router.post('/issues/:id/merge', protect, requirePermission('complaint:approve'),
+  audit('issue.merge', 'Issue'), async (req, res) => {
+  try {
+    const { issueIds } = req.body;
+    
+    if (!Array.isArray(issueIds) || !issueIds.every(id => mongoose.isValidObjectId(id)) ||
+        !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'issueIds must be a list of issue IDs' });
+    }
+    
+    const result = await runInTransaction((session) =>
+      mergeIssues(req.params.id, issueIds, { user: req.user, session })
+    );
+    
+    res.json({
+      success: true,
+      message: `Merged ${issueIds.length} issue(s), ${result.movedComplaints} report(s) moved`,
+      data: result.issue
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Split Reports out of an Issue (body: { complaintIds: [...] } form a new issue)
+router.post('/issues/:id/split', protect, requirePermission('complaint:approve'),
+  audit('issue.split', 'Issue'), async (req, res) => {
+  try {
+    const { complaintIds } = req.body;
+    
+    if (!Array.isArray(complaintIds) || !complaintIds.every(id => mongoose.isValidObjectId(id)) ||
+        !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'complaintIds must be a list of complaint IDs' });
+    }
+    
+    const result = await runInTransaction((session) =>
+      splitIssue(req.params.id, complaintIds, { user: req.user, session })
+    );
+    
+    res.locals.audit = { metadata: { newIssue: result.newIssue._id } };
+    
+    res.status(201).json({
+      success: true,
+      message: `${complaintIds.length} report(s) split into a new issue`,
+      data: result
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Live Feed (Server-Sent Events: new complaints, status changes, upvote surges, redemption requests)
+// ?ward=<id>&category=...&types=a,b - EventSource can't send headers, so ?token=<jwt> also works
+// Reconnects resume after the Last-Event-ID header (or ?lastEventId=)
+router.get('/stream', tokenFromQuery, protect, admin, async (req, res) => {
+  try {
+    const { ward, category, types, lastEventId } = req.query;
+    
+    if (ward && !mongoose.isValidObjectId(ward)) {
+      return res.status(400).json({ success: false, message: 'Invalid ward' });
+    }
+    
+    const typeList = types ? types.split(',') : null;
+    
+    if (typeList && !typeList.every(type => STREAM_EVENTS[type])) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type (use ${Object.keys(STREAM_EVENTS).join(', ')})`
+      });
+    }
+    
+    await streamAdminEvents(req, res, {
+      // Ward staff always get their own ward
+      filters: { ward: wardScope(req.user, ward), category, types: typeList },
+      lastEventId: req.get('Last-Event-ID') || lastEventId,
+      expiresAt: req.tokenExpiresAt
+    });
+    
+  } catch (error) {
+    // Once the stream has started, all we can do is close it
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
-// Dashboard Stats
-router.get('/dashboard/stats', protect, admin, async (req, res) => {
+// Dashboard Stats (?ward=<id>; ward staff always get their own ward)
+router.get('/dashboard/stats', protect, requirePermission('dashboard:view'), async (req, res) => {
   try {
-    const totalComplaints = await Complaint.countDocuments();
-    const pending = await Complaint.countDocuments({ status: 'pending' });
-    const approved = await Complaint.countDocuments({ status: 'approved' });
-    const rejected = await Complaint.countDocuments({ status: 'rejected' });
-    const cleaned = await Complaint.countDocuments({ status: 'cleaned' });
+    const ward = wardScope(req.user, req.query.ward);
+    
+    if (ward && !mongoose.isValidObjectId(ward)) {
+      return res.status(400).json({ success: false, message: 'Invalid ward' });
+    }
+    
+    const scope = ward ? { ward: new mongoose.Types.ObjectId(ward) } : {};
+    
+    const totalComplaints = await Complaint.countDocuments(scope);
+    const pending = await Complaint.countDocuments({ ...scope, status: 'pending' });
+    const approved = await Complaint.countDocuments({ ...scope, status: 'approved' });
+    const inProgress = await Complaint.countDocuments({ ...scope, status: 'in_progress' });
+    const rejected = await Complaint.countDocuments({ ...scope, status: 'rejected' });
+    const reopened = await Complaint.countDocuments({ ...scope, status: 'reopened' });
+    const cleaned = await Complaint.countDocuments({ ...scope, status: 'cleaned' });
+    const flagged = await Complaint.countDocuments({ ...scope, 'fraudFlags.0': { $exists: true } });
+    const pointsHeld = await Complaint.countDocuments({ ...scope, 'pointsHold.status': 'held' });
+    const disputed = await Complaint.countDocuments({ ...scope, 'cleanupDispute.status': 'open' });
     
     const totalUsers = await User.countDocuments({ role: 'citizen' });
     const activeUsers = await User.countDocuments({ 
@@ -121,10 +666,47 @@ router.get('/dashboard/stats', protect, admin, async (req, res) => {
       'stats.totalComplaints': { $gt: 0 }
     });
     
+    // City-wide view: complaint counts per ward and status
+    let byWard;
+    if (!ward) {
+      byWard = await Complaint.aggregate([
+        { $group: { _id: { ward: '$ward', status: '$status' }, count: { $sum: 1 } } },
+        { $group: { _id: '$_id.ward', statuses: { $push: { k: '$_id.status', v: '$count' } }, total: { $sum: '$count' } } },
+        { $lookup: { from: 'wards', localField: '_id', foreignField: '_id', as: 'wardInfo' } },
+        {
+          $project: {
+            _id: 1,
+            name: { $ifNull: [{ $arrayElemAt: ['$wardInfo.name', 0] }, 'Unassigned'] },
+            code: { $arrayElemAt: ['$wardInfo.code', 0] },
+            total: 1,
+            statuses: { $arrayToObject: '$statuses' }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]);
+    }
+    
+    // Review/cleanup deadlines met vs missed
+    const sla = await getSlaCompliance(scope);
+    
     res.json({
       success: true,
       data: {
-        complaints: { total: totalComplaints, pending, approved, rejected, cleaned },
+        ward,
+        complaints: {
+          total: totalComplaints,
+          pending,
+          approved,
+          inProgress,
+          rejected,
+          reopened,
+          cleaned,
+          flagged,
+          pointsHeld,
+          disputed
+        },
+        byWard,
+        sla,
         users: { total: totalUsers, active: activeUsers }
       }
     });
@@ -134,4 +716,634 @@ router.get('/dashboard/stats', protect, admin, async (req, res) => {
   }
 });
 
+// Points Ledger (all users, filterable)
+router.get('/ledger', protect, requirePermission('ledger:view'), async (req, res) => {
+  try {
+    const { userId, type, page = 1, limit = 50 } = req.query;
+    
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+    
+    const types = PointsTransaction.schema.path('type').enumValues;
+    if (type && !types.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${types.join(', ')}` });
+    }
+    
+    const filter = {};
+    if (userId) filter.user = userId;
+    if (type) filter.type = type;
+    
+    const skip = (page - 1) * limit;
+    
+    const transactions = await PointsTransaction.find(filter)
+      .populate('user', 'name email')
+      .populate('createdBy', 'name')
+      .populate('complaint', 'category status')
+      .populate('redemption', 'rewardType status')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await PointsTransaction.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check a user's balance against the ledger (read-only; POST fixes it)
+router.get('/users/:id/points/reconcile', protect, requirePermission('ledger:view'), async (req, res) => {
+  try {
+    const result = await reconcileUserPoints(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/users/:id/points/reconcile', protect, requirePermission('points:adjust'),
+  audit('points.reconcile', 'User'), async (req, res) => {
+  try {
+    const result = await reconcileUserPoints(req.params.id, { apply: true });
+    res.json({
+      success: true,
+      message: result.fixed ? 'Balance corrected from ledger'
+        : result.openingBalanceRecorded ? 'Opening balance recorded in ledger' : 'Balance already in sync',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Manual Points Adjustment
+router.post('/users/:id/points/adjust', protect, requirePermission('points:adjust'),
+  audit('points.adjust', 'User'), async (req, res) => {
+  try {
+    const points = Number(req.body.points);
+    const { reason } = req.body;
+    
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ success: false, message: 'Points must be a non-zero whole number' });
+    }
+    
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Reason required' });
+    }
+    
+    const { transaction, user } = await adjustPoints(req.params.id, points, {
+      createdBy: req.user._id,
+      description: reason
+    });
+    
+    res.json({
+      success: true,
+      message: 'Points adjusted',
+      data: { transaction, rewardPoints: user.rewardPoints }
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Reverse a Ledger Entry
+router.post('/ledger/:id/reverse', protect, requirePermission('points:adjust'),
+  audit('points.reverse', 'PointsTransaction'), async (req, res) => {
+  try {
+    const { transaction, user } = await reverseTransaction(req.params.id, {
+      createdBy: req.user._id,
+      description: req.body.reason
+    });
+    
+    res.locals.audit = {
+      metadata: { reversalTransaction: transaction._id, user: transaction.user }
+    };
+    
+    res.json({
+      success: true,
+      message: 'Transaction reversed',
+      data: { transaction, rewardPoints: user.rewardPoints }
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Roles and their permissions
+router.get('/roles', protect, requirePermission('user:manage'), (req, res) => {
+  res.json({ success: true, data: ROLE_PERMISSIONS });
+});
+
+// List Users (filter by role / active / minimum risk score, search by name or email)
+router.get('/users', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { role, isActive, search, minRisk, page = 1, limit = 20 } = req.query;
+    
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (minRisk) filter['risk.score'] = { $gte: parseInt(minRisk) };
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const users = await User.find(filter)
+      .select('-password')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await User.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Change User Role
+router.put('/users/:id/role', protect, requirePermission('user:manage'),
+  audit('user.role_change', 'User'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    // Only super admins can create or remove super admins
+    if ((role === 'super_admin' || user.role === 'super_admin') && req.user.role !== 'super_admin') {
+      return res.status(403).json({ success: false, message: 'Only a super admin can change super admin roles' });
+    }
+    
+    // Staff log in with email, password and two-factor code - phone-only accounts can't
+    if (role !== 'citizen' && !user.email) {
+      return res.status(400).json({ success: false, message: 'Staff accounts need an email address and password' });
+    }
+    
+    user.role = role;
+    await user.save();
+    
+    res.json({ success: true, message: 'Role updated', data: user });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Activate / Deactivate User
+router.put('/users/:id/status', protect, requirePermission('user:manage'),
+  audit('user.status_change', 'User'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+    
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isActive must be true or false' });
+    }
+    
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate your own account' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ success: false, message: 'Only a super admin can change a super admin' });
+    }
+    
+    user.isActive = isActive;
+    await user.save();
+    
+    // Log the user out everywhere (refresh tokens stop working too)
+    if (!isActive) await revokeUserSessions(user._id, 'deactivated');
+    
+    res.json({ success: true, message: isActive ? 'User activated' : 'User deactivated', data: user });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reset Two-Factor Login (lost phone and recovery codes) - the user sets it up again
+router.delete('/users/:id/two-factor', protect, requirePermission('user:manage'),
+  audit('user.two_factor_reset', 'User'), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'Ask another admin to reset your own two-factor login' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({ success: false, message: 'Only a super admin can change a super admin' });
+    }
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor login is not on for this user' });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    // Whoever has the old phone is logged out too
+    await revokeUserSessions(user._id, 'two_factor');
+    
+    res.json({ success: true, message: 'Two-factor login reset', data: user });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List Wards
+router.get('/wards', protect, admin, async (req, res) => {
+  try {
+    const wards = await Ward.find().select('-boundary').sort('code');
+    res.json({ success: true, data: wards });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Import Wards from GeoJSON (body: { geojson, nameProperty, codeProperty, city })
+router.post('/wards/import', protect, requirePermission('ward:manage'),
+  audit('ward.import', 'Config'), async (req, res) => {
+  try {
+    const { geojson, nameProperty, codeProperty, city } = req.body;
+    
+    const result = await importWardsFromGeoJSON(geojson, { nameProperty, codeProperty, city });
+    
+    res.locals.audit = { metadata: { body: { nameProperty, codeProperty, city }, result } };
+    
+    res.json({ success: true, message: 'Wards imported', data: result });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Activate / Deactivate Ward
+router.put('/wards/:id/status', protect, requirePermission('ward:manage'),
+  audit('ward.status_change', 'Ward'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+    
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isActive must be true or false' });
+    }
+    
+    const ward = await Ward.findByIdAndUpdate(req.params.id, { isActive }, { new: true })
+      .select('-boundary');
+    
+    if (!ward) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    res.json({ success: true, message: isActive ? 'Ward activated' : 'Ward deactivated', data: ward });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Assign Staff Member to a Ward (ward: null = whole city)
+router.put('/users/:id/ward', protect, requirePermission('user:manage'),
+  audit('user.ward_change', 'User'), async (req, res) => {
+  try {
+    const { ward } = req.body;
+    
+    if (ward && !(await Ward.exists({ _id: ward }))) {
+      return res.status(400).json({ success: false, message: 'Ward not found' });
+    }
+    
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    if (!user.isStaff()) {
+      return res.status(400).json({ success: false, message: 'Only staff can be assigned to a ward' });
+    }
+    
+    user.ward = ward || undefined;
+    await user.save();
+    
+    res.json({ success: true, message: 'Ward assignment updated', data: user });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List Webhooks
+router.get('/webhooks', protect, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().populate('createdBy', 'name email').sort('-createdAt');
+    res.json({ success: true, data: webhooks });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create Webhook (body: { name, url, events, secret? }) - the secret is only returned here
+router.post('/webhooks', protect, requirePermission('webhook:manage'),
+  audit('webhook.create', 'Webhook'), async (req, res) => {
+  try {
+    const { name, url, events, secret } = req.body;
+    
+    const webhook = await Webhook.create({
+      name,
+      url,
+      events,
+      secret: secret || generateSecret(),
+      createdBy: req.user._id
+    });
+    
+    res.locals.audit = { targetId: webhook._id };
+    
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created, store the secret now - it is not shown again',
+      data: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update Webhook (name, url, events, isActive; rotateSecret: true returns a new secret)
+router.put('/webhooks/:id', protect, requirePermission('webhook:manage'),
+  audit('webhook.update', 'Webhook'), async (req, res) => {
+  try {
+    const { name, url, events, isActive, rotateSecret } = req.body;
+    
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isActive must be true or false' });
+    }
+    
+    const webhook = await Webhook.findById(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    if (name !== undefined) webhook.name = name;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (isActive !== undefined) webhook.isActive = isActive;
+    if (rotateSecret === true) webhook.secret = generateSecret();
+    
+    await webhook.save();
+    
+    const data = webhook.toJSON();
+    if (rotateSecret === true) {
+      data.secret = webhook.secret;
+    } else {
+      delete data.secret;
+    }
+    
+    res.json({
+      success: true,
+      message: rotateSecret === true ? 'Webhook updated, store the new secret now' : 'Webhook updated',
+      data
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete Webhook (and its delivery log)
+router.delete('/webhooks/:id', protect, requirePermission('webhook:manage'),
+  audit('webhook.delete', 'Webhook'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    
+    res.json({ success: true, message: 'Webhook deleted' });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Send a Test Ping (answers with the logged delivery, including the receiver's response)
+router.post('/webhooks/:id/ping', protect, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    const delivery = await sendPing(webhook);
+    
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered' ? 'Ping delivered' : `Ping failed: ${delivery.lastError}`,
+      data: delivery
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delivery Log of a Webhook (?status=queued|delivered|failed, ?event=...)
+router.get('/webhooks/:id/deliveries', protect, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 50 } = req.query;
+    
+    const filter = { webhook: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    
+    const skip = (page - 1) * limit;
+    
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await WebhookDelivery.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Redeliver (same payload, sent right away and logged as a new delivery)
+router.post('/webhooks/deliveries/:deliveryId/redeliver', protect, requirePermission('webhook:manage'),
+  audit('webhook.redeliver', 'Webhook', { getTargetId: () => null }), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.deliveryId);
+    
+    if (!original) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    
+    if (!(await Webhook.exists({ _id: original.webhook }))) {
+      return res.status(409).json({ success: false, message: 'The webhook of this delivery was deleted' });
+    }
+    
+    const delivery = await redeliver(original);
+    
+    res.locals.audit = {
+      targetId: original.webhook,
+      metadata: { deliveryId: original._id, redeliveryId: delivery._id }
+    };
+    
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered' ? 'Redelivered' : `Redelivery failed: ${delivery.lastError}`,
+      data: delivery
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Audit Log (filterable, ?format=csv for export)
+router.get('/audit-log', protect, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, requestId, from, to, format, page = 1, limit = 50 } = req.query;
+    
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    
+    // CSV export: all matching entries (capped) in one file
+    if (format === 'csv') {
+      const entries = await AuditLog.find(filter).sort('-createdAt').limit(10000).lean();
+      
+      const csv = toCsv(entries, [
+        { header: 'Time', value: e => e.createdAt.toISOString() },
+        { header: 'Actor', value: e => e.actorEmail || e.actor },
+        { header: 'Role', value: e => e.actorRole },
+        { header: 'Action', value: e => e.action },
+        { header: 'Target Type', value: e => e.targetType },
+        { header: 'Target ID', value: e => e.targetId },
+        { header: 'Changes', value: e => e.changes },
+        { header: 'Metadata', value: e => e.metadata },
+        { header: 'IP', value: e => e.ip },
+        { header: 'Request ID', value: e => e.requestId }
+      ]);
+      
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.csv"`);
+      return res.send(csv);
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await AuditLog.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
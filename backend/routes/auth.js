@@ -5,16 +5,76 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { OPTIONAL_EMAIL_EVENTS, APP_URL } = require('../config/email');
+const { PASSWORD_RESET_MINUTES, EMAIL_VERIFICATION_HOURS, VERIFICATION_RESEND_SECONDS } = require('../config/auth');
 const { protect, generateToken } = require('../middleware/auth');
+const { queueEmail } = require('../utils/email');
+const { rateLimit, tooManyRequests, formatWait } = require('../middleware/rateLimit');
+const {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../utils/sessions');
+const {
+  generateSecret,
+  otpauthUri,
+  matchTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../utils/twoFactor');
+const { normalizePhone, requestOtp, checkOtp, consumeOtp } = require('../utils/otp');
+const { OTP_TTL_MINUTES, OTP_RESEND_SECONDS } = require('../config/sms');
+
+/**
+ * SEND EMAIL VERIFICATION LINK
+ * A new link replaces the previous one
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.createAccountToken('emailVerification', EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+  await user.save();
+  
+  await queueEmail('email_verification', {
+    user,
+    data: {
+      verifyUrl: `${APP_URL}/verify-email?token=${token}`,
+      expiresInHours: EMAIL_VERIFICATION_HOURS
+    }
+  });
+};
+
+/**
+ * LOGGED-IN USER (login answers)
+ */
+const loginSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  rewardPoints: user.rewardPoints,
+  totalPointsEarned: user.totalPointsEarned,
+  badges: user.badges,
+  isEmailVerified: Boolean(user.email) && user.isEmailVerified !== false,
+  phone: user.phone,
+  isPhoneVerified: Boolean(user.isPhoneVerified),
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  // Staff without two-factor: send them to the setup screen
+  twoFactorSetupRequired: user.requiresTwoFactor() && !(user.twoFactor && user.twoFactor.enabled)
+});
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register new user
  * @access  Public
  */
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   // Validation rules
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
@@ -50,25 +110,29 @@ router.post('/register', [
       password,  // Will be hashed automatically by pre-save hook
       phone,
       address,
-      role: 'citizen'  // Default role
+      role: 'citizen',  // Default role
+      isEmailVerified: false  // Until the emailed link is opened
     });
     
-    // Generate JWT token
-    const token = generateToken(user._id);
+    await sendVerificationEmail(user);
+    
+    // Log this device in (access + refresh token)
+    const tokens = await startSession(user, req);
     
     // Send response (exclude password)
     res.status(201).json({
       success: true,
-      message: 'Registration successful!',
+      message: 'Registration successful! Please confirm your email address with the link we sent you.',
       data: {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           role: user.role,
-          rewardPoints: user.rewardPoints
+          rewardPoints: user.rewardPoints,
+          isEmailVerified: user.isEmailVerified
         },
-        token
+        ...tokens
       }
     });
     
@@ -86,7 +150,7 @@ router.post('/register', [
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', [
+router.post('/login', rateLimit('login'), [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -112,10 +176,25 @@ router.post('/login', [
       });
     }
     
+    // Too many wrong passwords: not even the right one works until the lock ends
+    const lockedFor = user.loginLockedFor();
+    
+    if (lockedFor > 0) {
+      return tooManyRequests(res, lockedFor,
+        `Too many failed logins. Try again in ${formatWait(lockedFor)} or reset your password`);
+    }
+    
     // Check password using comparePassword method
     const isPasswordMatch = await user.comparePassword(password);
     
     if (!isPasswordMatch) {
+      const lockSeconds = await User.recordFailedLogin(user._id);
+      
+      if (lockSeconds > 0) {
+        return tooManyRequests(res, lockSeconds,
+          `Too many failed logins. Try again in ${formatWait(lockSeconds)} or reset your password`);
+      }
+      
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid email or password' 
@@ -130,24 +209,33 @@ router.post('/login', [
       });
     }
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Two-factor accounts need the app code next (POST /2fa/login).
+    // Failed-login count stays until then, so wrong codes keep adding to it.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        }
+      });
+    }
+    
+    if (user.loginFailures && user.loginFailures.count > 0) {
+      await User.clearFailedLogins(user._id);
+    }
+    
+    // New session for this device (access + refresh token)
+    const tokens = await startSession(user, req);
     
     // Send response
     res.json({
       success: true,
       message: 'Login successful!',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          rewardPoints: user.rewardPoints,
-          totalPointsEarned: user.totalPointsEarned,
-          badges: user.badges
-        },
-        token
+        user: loginSummary(user),
+        ...tokens
       }
     });
     
@@ -168,11 +256,14 @@ router.post('/login', [
 router.get('/profile', protect, async (req, res) => {
   try {
     // req.user is set by protect middleware
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id).select('-password -risk');
+    
+    // Badge for the notification bell
+    const unreadNotifications = await Notification.countUnread(req.user._id);
     
     res.json({
       success: true,
-      data: user
+      data: { ...user.toJSON(), unreadNotifications }
     });
     
   } catch (error) {
@@ -186,24 +277,55 @@ router.get('/profile', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update user profile
+ * @desc    Update user profile (and email preferences, e.g. { complaint_approved: false })
  * @access  Private
  */
 router.put('/profile', protect, [
   body('name').optional().trim().notEmpty(),
   body('phone').optional().trim(),
-  body('address').optional()
+  body('address').optional(),
+  body('emailPreferences').optional().isObject().withMessage('Email preferences must be an object')
+    .custom(prefs => Object.entries(prefs).every(
+      ([event, enabled]) => OPTIONAL_EMAIL_EVENTS.includes(event) && typeof enabled === 'boolean'
+    ))
+    .withMessage(`Email preferences must be true/false for: ${OPTIONAL_EMAIL_EVENTS.join(', ')}`)
 ], async (req, res) => {
   try {
-    const { name, phone, address } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const { name, phone, address, emailPreferences } = req.body;
     
     // Find and update user
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select('-password -risk');
     
     if (name) user.name = name;
-    if (phone) user.phone = phone;
+    
+    // A verified number can only be replaced by verifying the new one
+    if (phone && user.isPhoneVerified) {
+      if (normalizePhone(phone) !== user.phone) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'To change a verified phone number, confirm the new one (POST /api/auth/phone/request)' 
+        });
+      }
+    } else if (phone) {
+      user.phone = phone;
+    }
     if (address) user.address = { ...user.address, ...address };
     
+    // Only the events sent are changed, the others keep their setting
+    if (emailPreferences) {
+      for (const [event, enabled] of Object.entries(emailPreferences)) {
+        user.emailPreferences[event] = enabled;
+      }
+    }
+    
     await user.save();
     
     res.json({
@@ -255,12 +377,16 @@ router.post('/change-password', protect, [
     }
     
     // Update password (will be hashed by pre-save hook)
+    // Other devices are logged out; this one gets a fresh token
     user.password = newPassword;
     await user.save();
     
+    await revokeUserSessions(user._id, 'password_change', { except: req.sessionId });
+    
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { token: generateToken(user._id, req.sessionId) }
     });
     
   } catch (error) {
@@ -272,35 +398,907 @@ router.post('/change-password', protect, [
   }
 });
 
-module.exports = router;
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a one-time password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', rateLimit('forgot_password'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const user = await User.findOne({ email: req.body.email });
+    
+    if (user && user.isActive) {
+      const token = user.createAccountToken('passwordReset', PASSWORD_RESET_MINUTES * 60 * 1000);
+      await user.save();
+      
+      await queueEmail('password_reset', {
+        user,
+        data: {
+          resetUrl: `${APP_URL}/reset-password?token=${token}`,
+          expiresInMinutes: PASSWORD_RESET_MINUTES
+        }
+      });
+    }
+    
+    // Same answer whether or not the account exists (no guessing who is registered)
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link is on its way'
+    });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error sending reset link' 
+    });
+  }
+});
 
 /**
- * BEGINNER EXPLANATION:
- * 
- * ROUTE STRUCTURE:
- * router.post('/register', [...validation], async (req, res) => { ... })
- *           ↓           ↓                    ↓
- *        Method    Validation         Route Handler Function
- * 
- * VALIDATION:
- * - Checks if email is valid format
- * - Checks if password is at least 6 characters
- * - Runs BEFORE the main function
- * 
- * REGISTRATION FLOW:
- * 1. User sends: { name, email, password }
- * 2. Validate data
- * 3. Check if email already exists
- * 4. Create new user (password auto-hashed)
- * 5. Generate JWT token
- * 6. Send back user data + token
- * 
- * LOGIN FLOW:
- * 1. User sends: { email, password }
- * 2. Find user by email
- * 3. Compare password (hashed vs entered)
- * 4. If match → generate token
- * 5. Send back user data + token
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the emailed token (works once)
+ * @access  Public
+ */
+router.post('/reset-password', rateLimit('account_link'), [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const { token, password } = req.body;
+    
+    const user = await User.findOne({
+      'passwordReset.tokenHash': User.hashToken(token),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    });
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
+    
+    // Single use: the token is removed with the password change
+    // (and older login tokens stop working - see passwordChangedAt)
+    user.password = password;
+    user.passwordReset = undefined;
+    
+    // A new password also ends a failed-login lockout
+    user.loginFailures = { count: 0 };
+    
+    // The link arrived in their inbox, so the address is theirs
+    if (user.isEmailVerified === false) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerification = undefined;
+    }
+    
+    await user.save();
+    
+    // Whoever knew the old password is logged out everywhere
+    await revokeUserSessions(user._id, 'password_reset');
+    
+    res.json({
+      success: true,
+      message: 'Password reset, please log in with your new password'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error resetting password' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm the email address with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', rateLimit('account_link'), [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const user = await User.findOne({
+      'emailVerification.tokenHash': User.hashToken(req.body.token),
+      'emailVerification.expiresAt': { $gt: new Date() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Verification link is invalid or has expired' 
+      });
+    }
+    
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerification = undefined;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Email confirmed, thank you!'
+    });
+    
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error confirming email' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This account has no email address' 
+      });
+    }
+    
+    if (user.isEmailVerified !== false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is already confirmed' 
+      });
+    }
+    
+    const sentAt = user.emailVerification && user.emailVerification.sentAt;
+    const waitSeconds = sentAt
+      ? Math.ceil(VERIFICATION_RESEND_SECONDS - (Date.now() - sentAt) / 1000)
+      : 0;
+    
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${waitSeconds} seconds before asking for another link` 
+      });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({
+      success: true,
+      message: `A new link was sent to ${user.email}`
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error sending verification email' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Swap the refresh token for a new access + refresh token pair
+ * @access  Public (needs a refresh token)
+ */
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
+  try {
+    const { user, ...tokens } = await refreshSession(req.body.refreshToken, req);
+    
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          role: user.role
+        },
+        ...tokens
+      }
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out this device
+ * @access  Private
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error logging out' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out every device, this one included
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout_all');
+    
+    res.json({
+      success: true,
+      message: `Logged out of ${count} device(s)`
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error logging out' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    My logged-in devices (current: true marks this one)
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching sessions' 
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Log out one of my devices
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      && await revokeSession(req.params.id, 'revoked', { user: req.user._id });
+    
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device logged out'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error logging out device' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/login
+ * @desc    Second login step: code from the authenticator app (or a recovery code)
+ * @access  Public (needs the challengeToken from POST /login)
+ */
+router.post('/2fa/login', rateLimit('two_factor'), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    const user = await User.findById(readLoginChallenge(challengeToken)).select('+twoFactor.secret');
+    
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login expired, please enter your password again' 
+      });
+    }
+    
+    const lockedFor = user.loginLockedFor();
+    
+    if (lockedFor > 0) {
+      return tooManyRequests(res, lockedFor,
+        `Too many failed logins. Try again in ${formatWait(lockedFor)}`);
+    }
+    
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    
+    // Wrong codes count like wrong passwords (6 digits are quick to guess otherwise)
+    if (!method) {
+      const lockSeconds = await User.recordFailedLogin(user._id);
+      
+      if (lockSeconds > 0) {
+        return tooManyRequests(res, lockSeconds,
+          `Too many failed logins. Try again in ${formatWait(lockSeconds)}`);
+      }
+      
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid code' 
+      });
+    }
+    
+    await User.clearFailedLogins(user._id);
+    
+    const tokens = await startSession(user, req);
+    
+    // A recovery code was used up - tell them how many are left
+    let recoveryCodesLeft;
+    if (method === 'recovery') {
+      const { twoFactor } = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+      recoveryCodesLeft = twoFactor.recoveryCodes.filter(c => !c.usedAt).length;
+    }
+    
+    res.json({
+      success: true,
+      message: 'Login successful!',
+      data: {
+        user: loginSummary(user),
+        ...tokens,
+        ...(recoveryCodesLeft !== undefined && { recoveryCodesLeft })
+      }
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor setup: secret + otpauth URI (show it as a QR code)
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, rateLimit('two_factor'), async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor login is already on' 
+      });
+    }
+    
+    // Not active until confirmed with a code (POST /2fa/enable)
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+    
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: otpauthUri(secret, req.user.email)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error starting two-factor setup' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish setup with a code from the app; returns the recovery codes (once)
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, rateLimit('two_factor'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor login is already on' 
+      });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Start with POST /api/auth/2fa/setup' 
+      });
+    }
+    
+    const step = matchTotp(user.twoFactor.pendingSecret, req.body.code);
+    
+    if (step === null) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid code - check the time on your phone and try again' 
+      });
+    }
+    
+    const { codes, stored } = generateRecoveryCodes();
+    
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: stored
+    };
+    await user.save();
+    
+    // Other devices logged in with the password alone - they must log in again
+    await revokeUserSessions(user._id, 'two_factor', { except: req.sessionId });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor login is on. Keep the recovery codes somewhere safe - they are shown only once',
+      data: { recoveryCodes: codes }
+    });
+    
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error turning on two-factor login' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (needs an app code); old ones stop working
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, rateLimit('two_factor'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor login is not on' 
+      });
+    }
+    
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid code' 
+      });
+    }
+    
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': stored } });
+    
+    res.json({
+      success: true,
+      message: 'New recovery codes - the old ones no longer work',
+      data: { recoveryCodes: codes }
+    });
+    
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error creating recovery codes' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor login (password + code; not allowed for staff)
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, rateLimit('two_factor'), async (req, res) => {
+  try {
+    if (req.user.requiresTwoFactor()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Staff accounts must keep two-factor login on' 
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password +twoFactor.secret');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor login is not on' 
+      });
+    }
+    
+    const { password, code, recoveryCode } = req.body;
+    
+    if (!(await user.comparePassword(String(password || '')))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+    
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid code' 
+      });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Two-factor login is off'
+    });
+    
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error turning off two-factor login' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Send a login code by SMS (log in or sign up with a phone number)
+ * @access  Public
+ */
+router.post('/otp/request', rateLimit('otp_request'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid phone number is required' 
+      });
+    }
+    
+    // Same answer whether the number has an account or not
+    await requestOtp(phone, 'login');
+    
+    res.json({
+      success: true,
+      message: 'Code sent by SMS',
+      data: {
+        phone,
+        expiresInMinutes: OTP_TTL_MINUTES,
+        resendAfterSeconds: OTP_RESEND_SECONDS
+      }
+    });
+    
+  } catch (error) {
+    if (error.retryAfter) return tooManyRequests(res, error.retryAfter, error.message);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Log in with the SMS code; a new number also sends name and gets an account
+ * @access  Public
+ */
+router.post('/otp/verify', rateLimit('otp_verify'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid phone number is required' 
+      });
+    }
+    
+    const otp = await checkOtp(phone, req.body.code, 'login');
+    
+    let user = await User.findOne({ phone, isPhoneVerified: true });
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    
+    // New number: the code stays valid until the name is sent along
+    if (!user && !name) {
+      return res.status(400).json({ 
+        success: false, 
+        nameRequired: true,
+        message: 'New number - enter your name to create your account' 
+      });
+    }
+    
+    if (user && !user.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is deactivated. Contact admin.' 
+      });
+    }
+    
+    // An SMS code alone must not open a staff account
+    if (user && user.isStaff()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Staff accounts log in with email, password and two-factor code' 
+      });
+    }
+    
+    await consumeOtp(otp);
+    
+    const isNew = !user;
+    
+    if (isNew) {
+      try {
+        user = await User.create({
+          name,
+          phone,
+          isPhoneVerified: true,
+          phoneVerifiedAt: new Date()
+        });
+      } catch (error) {
+        // Same number signed up a moment ago (one account per verified number);
+        // other duplicate keys are real errors
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.phone) {
+          return res.status(409).json({ 
+            success: false, 
+            message: 'This phone number already has an account, please log in' 
+          });
+        }
+        throw error;
+      }
+    }
+    
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        }
+      });
+    }
+    
+    const tokens = await startSession(user, req);
+    
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Account created!' : 'Login successful!',
+      data: {
+        user: loginSummary(user),
+        ...tokens
+      }
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/phone/request
+ * @desc    Send a code to confirm my phone number (adding or changing it)
+ * @access  Private
+ */
+router.post('/phone/request', protect, rateLimit('otp_request'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid phone number is required' 
+      });
+    }
+    
+    if (req.user.isPhoneVerified && req.user.phone === phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This phone number is already verified' 
+      });
+    }
+    
+    if (await User.exists({ phone, isPhoneVerified: true, _id: { $ne: req.user._id } })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This phone number belongs to another account' 
+      });
+    }
+    
+    await requestOtp(phone, 'verify_phone', { user: req.user._id });
+    
+    res.json({
+      success: true,
+      message: 'Code sent by SMS',
+      data: {
+        phone,
+        expiresInMinutes: OTP_TTL_MINUTES,
+        resendAfterSeconds: OTP_RESEND_SECONDS
+      }
+    });
+    
+  } catch (error) {
+    if (error.retryAfter) return tooManyRequests(res, error.retryAfter, error.message);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/phone/verify
+ * @desc    Confirm my phone number with the SMS code
+ * @access  Private
+ */
+router.post('/phone/verify', protect, rateLimit('otp_verify'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid phone number is required' 
+      });
+    }
+    
+    const otp = await checkOtp(phone, req.body.code, 'verify_phone', { user: req.user._id });
+    
+    if (await User.exists({ phone, isPhoneVerified: true, _id: { $ne: req.user._id } })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This phone number belongs to another account' 
+      });
+    }
+    
+    await consumeOtp(otp);
+    
+    const user = await User.findById(req.user._id).select('-password -risk');
+    user.phone = phone;
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.phone) {
+        return res.status(409).json({ 
+          success: false, 
+          message: 'This phone number belongs to another account' 
+        });
+      }
+      throw error;
+    }
+    
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: user
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
+
+/**
+ * BEGINNER EXPLANATION:
+ * 
+ * ROUTE STRUCTURE:
+ * router.post('/register', [...validation], async (req, res) => { ... })
+ *           ↓           ↓                    ↓
+ *        Method    Validation         Route Handler Function
+ * 
+ * VALIDATION:
+ * - Checks if email is valid format
+ * - Checks if password is at least 6 characters
+ * - Runs BEFORE the main function
+ * 
+ * REGISTRATION FLOW:
+ * 1. User sends: { name, email, password }
+ * 2. Validate data
+ * 3. Check if email already exists
+ * 4. Create new user (password auto-hashed)
+ * 5. Generate JWT token
+ * 6. Send back user data + token
+ * 
+ * EMAIL VERIFICATION:
+ * 1. Register → welcome email with a one-time link (isEmailVerified: false)
+ * 2. Link opens the app, which sends the token to POST /verify-email
+ * 3. Until then, reporting and redeeming answer 403 (requireVerifiedEmail)
+ * 
+ * FORGOT PASSWORD:
+ * 1. POST /forgot-password { email } → email with a one-time link
+ * 2. POST /reset-password { token, password }
+ * - Only a SHA-256 hash of the token is stored, it expires and works once
+ * - Older login tokens stop working (passwordChangedAt)
+ * 
+ * LOGIN FLOW:
+ * 1. User sends: { email, password }
+ * 2. Find user by email
+ * 3. Compare password (hashed vs entered)
+ * 4. If match → generate token
+ * 5. Send back user data + token
+ * 
+ * BRUTE-FORCE PROTECTION:
+ * - Login, register, password reset ... are rate limited per IP (429)
+ * - 5 wrong passwords in a row lock the account for 1, 2, 4 ... minutes
+ *   (Retry-After says how long); a password reset unlocks it
+ * 
+ * PHONE LOGIN (citizens):
+ * - POST /otp/request { phone } → SMS code; POST /otp/verify { phone, code }
+ *   logs in, or creates the account (send name too) for a new number
+ * - Logged in: POST /phone/request + /phone/verify confirm a number
+ * - One account per verified number
+ * 
+ * TWO-FACTOR LOGIN (required for staff):
+ * - POST /2fa/setup → secret + otpauth URI (QR code), POST /2fa/enable with a code
+ * - Then login answers { twoFactorRequired, challengeToken } and
+ *   POST /2fa/login { challengeToken, code } finishes it
+ * 
+ * SESSIONS (one per device):
+ * - Login/register answer { token, refreshToken, expiresIn }
+ * - token expires after ACCESS_TOKEN_MINUTES → POST /refresh
+ * - POST /logout, POST /logout-all, GET /sessions, DELETE /sessions/:id
+ * - Password change logs out the other devices, reset logs out all
  * 
  * JWT TOKEN:
  * - Frontend saves this token
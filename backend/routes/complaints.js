@@ -8,16 +8,30 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { upload, uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const { protect, requireVerifiedEmail, hasStaffAccess } = require('../middleware/auth');
+const { rateLimit, dailyComplaintLimit } = require('../middleware/rateLimit');
+const { uploadMedia, getUploadedFiles } = require('../utils/upload');
+const { inspectMedia, storeMedia, deleteMedia } = require('../utils/media');
 const { checkAutoBadges } = require('../utils/gamification');
+const Ward = require('../models/Ward');
+const { hasServiceAreas, wardScope, hasWardAccess } = require('../utils/wards');
+const Issue = require('../models/Issue');
+const { findOpenIssue, findOrCreateIssue } = require('../utils/issues');
+const { runInTransaction } = require('../utils/transaction');
+const { findMediaMatches } = require('../utils/photoHash');
+const { submitCleanupFeedback } = require('../utils/cleanup');
+const { assessReportRisk, updateUserRisk } = require('../utils/risk');
+const { FLAG_SCORE } = require('../config/risk');
+const { complaintEvent } = require('../utils/adminEvents');
+const { UPVOTE_SURGE_MINUTES } = require('../config/stream');
 
 /**
  * @route   POST /api/complaints
- * @desc    Report new complaint (citizen)
+ * @desc    Report new complaint (citizen) - photos/videos as "media" (or one "photo")
  * @access  Private
  */
-router.post('/', protect, upload.single('photo'), [
+router.post('/', protect, requireVerifiedEmail,
+  rateLimit('complaint'), rateLimit('complaint_ip'), dailyComplaintLimit, uploadMedia, [
   body('latitude').isFloat().withMessage('Valid latitude required'),
   body('longitude').isFloat().withMessage('Valid longitude required'),
   body('description').optional().trim(),
@@ -30,8 +44,10 @@ router.post('/', protect, upload.single('photo'), [
       return res.status(400).json({ success: false, errors: errors.array() });
     }
     
-    // Check if photo was uploaded
-    if (!req.file) {
+    // Check if a photo was uploaded
+    const files = getUploadedFiles(req);
+    
+    if (files.length === 0) {
       return res.status(400).json({ 
         success: false, 
         message: 'Photo is required' 
@@ -53,26 +69,94 @@ router.post('/', protect, upload.single('photo'), [
       });
     }
     
-    // Upload photo to Cloudinary
-    const uploadResult = await uploadToCloudinary(req.file.buffer, 'complaints');
+    // Route to the ward containing this location
+    const ward = await Ward.findByPoint(coords);
     
-    // Create complaint
-    const complaint = await Complaint.create({
-      user: req.user._id,
-      photo: {
-        url: uploadResult.secure_url,
-        publicId: uploadResult.public_id
-      },
-      location: {
-        type: 'Point',
-        coordinates: coords,
-        address: address || `${latitude}, ${longitude}`
-      },
-      description,
-      category: category || 'other',
-      status: 'pending'
+    if (!ward && await hasServiceAreas()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This location is outside our service area' 
+      });
+    }
+    
+    // One report per person per issue: the 24-hour check above is shorter than
+    // the clustering window, and a second report would earn a confirmation award
+    const openIssue = await findOpenIssue(coords, {
+      ward: ward ? ward._id : undefined,
+      category: category || 'other'
     });
     
+    if (openIssue && await Complaint.exists({ issue: openIssue._id, user: req.user._id })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You already reported this issue, it is being handled' 
+      });
+    }
+    
+    // Check every file: limits, EXIF place/time, hashes, EXIF-free copies
+    const items = await inspectMedia(files, { coordinates: coords });
+    const verdicts = items.filter(item => item.verification).map(item => item.verification.verdict);
+    
+    // Has any photo (or a cropped copy) been reported before, by anyone?
+    const photoMatches = await findMediaMatches(items.filter(item => item.hash).map(item => item.hash));
+    
+    // Does this report fit the user's movements? (speed, typed-in location, bursts)
+    const risk = await assessReportRisk(req.user, coords);
+    
+    const fraudFlags = [];
+    if (photoMatches.length > 0) fraudFlags.push('photo_reuse');
+    if (verdicts.includes('mismatch')) fraudFlags.push('exif_mismatch');
+    if (risk.score >= FLAG_SCORE) fraudFlags.push('high_risk');
+    
+    // Store the files (Cloudinary or local disk, see utils/storage)
+    const media = await storeMedia(items, { folder: 'complaints' });
+    
+    // Join the open issue other citizens already reported here (or start one)
+    // and create the complaint with it
+    let startedIssue = null;
+    
+    const { issue, isNewIssue, complaint } = await runInTransaction(async (session) => {
+      startedIssue = null;
+      
+      const { issue, isNew } = await findOrCreateIssue(coords, {
+        ward: ward ? ward._id : undefined,
+        category: category || 'other',
+        session
+      });
+      if (isNew) startedIssue = issue;
+      
+      const [complaint] = await Complaint.create([{
+        user: req.user._id,
+        media,
+        location: {
+          type: 'Point',
+          coordinates: coords,
+          address: address || `${latitude}, ${longitude}`
+        },
+        ward: ward ? ward._id : undefined,
+        issue: issue._id,
+        description,
+        category: category || 'other',
+        status: 'pending',
+        photoMatches: photoMatches.map(match => ({ ...match, stage: 'report' })),
+        fraudFlags,
+        risk
+      }], { session });
+      
+      return { issue, isNewIssue: isNew, complaint };
+    }).catch(async (error) => {
+      // Remove the stored files again, and the issue this report started
+      // (without transactions it would stay behind as an empty open issue,
+      // unless another report joined it meanwhile)
+      await deleteMedia(media);
+      if (startedIssue && !(await Complaint.exists({ issue: startedIssue._id }))) {
+        await Issue.deleteOne({ _id: startedIssue._id });
+      }
+      throw error;
+    });
+    
+    await updateUserRisk(req.user._id, risk);
+    
     // Update user stats
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { 
@@ -84,13 +168,30 @@ router.post('/', protect, upload.single('photo'), [
     // Populate user info before sending response
     await complaint.populate('user', 'name email');
     
+    // Fraud checks are for reviewers only
+    const data = complaint.toJSON();
+    data.media.forEach(item => {
+      delete item.hash;
+      delete item.verification;
+    });
+    delete data.photoMatches;
+    delete data.fraudFlags;
+    delete data.risk;
+    
     res.status(201).json({
       success: true,
-      message: 'Complaint submitted successfully! Awaiting admin review.',
-      data: complaint
+      message: isNewIssue
+        ? 'Complaint submitted successfully! Awaiting admin review.'
+        : `Complaint submitted successfully! ${issue.reportCount} other report(s) of this spot already exist, so yours counts as a confirmation.`,
+      data
     });
     
   } catch (error) {
+    // Bad files (too big, too long, not an image) are the client's fault
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
     console.error('Complaint creation error:', error);
     res.status(500).json({ 
       success: false, 
@@ -110,6 +211,11 @@ router.get('/', protect, async (req, res) => {
       status, 
       category, 
       userId, 
+      ward,
+      flag,
+      minRisk,
+      pointsHold,
+      dispute,
       page = 1, 
       limit = 10,
       sortBy = '-createdAt'  // Default: newest first
@@ -122,18 +228,39 @@ router.get('/', protect, async (req, res) => {
     if (category) filter.category = category;
     if (userId) filter.user = userId;
     
-    // If regular user, only show their complaints
-    if (req.user.role !== 'admin') {
+    // Staff assigned to a ward only see that ward's queue
+    const scopedWard = wardScope(req.user, ward);
+    if (scopedWard) filter.ward = scopedWard;
+    
+    // Without complaint:view_all (or staff without two-factor login),
+    // only show their own complaints (and never the fraud checks)
+    const isStaff = hasStaffAccess(req.user, 'complaint:view_all');
+    if (!isStaff) {
       filter.user = req.user._id;
     }
     
+    // Review queue of suspicious reports (?flag=any or ?flag=photo_reuse)
+    if (flag && isStaff) {
+      if (flag === 'any') filter['fraudFlags.0'] = { $exists: true };
+      else filter.fraudFlags = flag;
+    }
+    
+    // Riskiest reports (?minRisk=60&sortBy=-risk.score) and points awaiting review (?pointsHold=held)
+    if (minRisk && isStaff) filter['risk.score'] = { $gte: parseInt(minRisk) };
+    if (pointsHold) filter['pointsHold.status'] = pointsHold;
+    
+    // Cleanup disputes awaiting a decision (?dispute=open)
+    if (dispute) filter['cleanupDispute.status'] = dispute;
+    
     // Pagination
     const skip = (page - 1) * limit;
     
     // Query complaints
     const complaints = await Complaint.find(filter)
+      .select(isStaff ? '' : Complaint.STAFF_ONLY_FIELDS)
       .populate('user', 'name email phone')
       .populate('reviewedBy', 'name')
+      .populate('ward', 'name code')
       .sort(sortBy)
       .limit(parseInt(limit))
       .skip(skip);
@@ -170,10 +297,20 @@ router.get('/', protect, async (req, res) => {
  */
 router.get('/:id', protect, async (req, res) => {
   try {
+    const isStaff = hasStaffAccess(req.user, 'complaint:view_all');
+    
     const complaint = await Complaint.findById(req.params.id)
+      .select(isStaff ? '' : Complaint.STAFF_ONLY_FIELDS)
       .populate('user', 'name email phone address')
       .populate('reviewedBy', 'name email')
-      .populate('cleanupProof.uploadedBy', 'name');
+      .populate('ward', 'name code')
+      .populate('issue', 'status reportCount firstReportedAt')
+      .populate('cleanupProof.uploadedBy', 'name')
+      .populate(isStaff ? {
+        path: 'photoMatches.complaint',
+        select: 'user photo.url media.type media.url media.thumbnail cleanupProof.photo.url cleanupProof.media.url location status createdAt',
+        populate: { path: 'user', select: 'name email' }
+      } : []);
     
     if (!complaint) {
       return res.status(404).json({ 
@@ -182,8 +319,12 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
     
-    // Check access (users can only see their own, admins can see all)
-    if (req.user.role !== 'admin' && complaint.user._id.toString() !== req.user._id.toString()) {
+    // Check access (users can only see their own, staff with complaint:view_all can see all,
+    // staff tied to a ward only that ward's)
+    const isOwner = complaint.user._id.toString() === req.user._id.toString();
+    const wardMismatch = req.user.ward &&
+      (!complaint.ward || complaint.ward._id.toString() !== req.user.ward.toString());
+    if (!isOwner && (!isStaff || wardMismatch)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to view this complaint' 
@@ -204,6 +345,56 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/complaints/:id/timeline
+ * @desc    Get status history of a complaint (who changed it, when, why)
+ * @access  Private
+ */
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+      .select('user ward status statusHistory createdAt')
+      .populate('statusHistory.changedBy', 'name role');
+    
+    if (!complaint) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Complaint not found' 
+      });
+    }
+    
+    // Same access as GET /:id (owner, or staff with complaint:view_all for their ward)
+    const isOwner = complaint.user.toString() === req.user._id.toString();
+    const isStaff = hasStaffAccess(req.user, 'complaint:view_all');
+    if (!isOwner && (!isStaff || !hasWardAccess(req.user, complaint))) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to view this complaint' 
+      });
+    }
+    
+    // Complaints created before history was tracked only know their start
+    const timeline = complaint.statusHistory.length > 0
+      ? complaint.statusHistory
+      : [{ to: 'pending', changedAt: complaint.createdAt }];
+    
+    res.json({
+      success: true,
+      data: {
+        status: complaint.status,
+        timeline
+      }
+    });
+    
+  } catch (error) {
+    console.error('Fetch timeline error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching complaint timeline' 
+    });
+  }
+});
+
 /**
  * @route   PUT /api/complaints/:id/upvote
  * @desc    Upvote a complaint (community feature)
@@ -235,8 +426,18 @@ router.put('/:id/upvote', protect, async (req, res) => {
       complaint.upvotes += 1;
     }
     
+    const surge = !alreadyUpvoted && complaint.recordUpvote();
+    
     await complaint.save();
     
+    // Many upvotes in a short time - show it on the admin live feed
+    if (surge) {
+      complaintEvent('complaint.upvote_surge', complaint, {
+        upvotesInWindow: complaint.upvoteWindow.count,
+        windowMinutes: UPVOTE_SURGE_MINUTES
+      });
+    }
+    
     res.json({
       success: true,
       message: alreadyUpvoted ? 'Upvote removed' : 'Upvoted successfully',
@@ -255,6 +456,68 @@ router.put('/:id/upvote', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/complaints/:id/cleanup-feedback
+ * @desc    Confirm or dispute the cleanup (reporter or upvoter), optional counter-photos as "media"
+ * @access  Private
+ */
+router.post('/:id/cleanup-feedback', protect, uploadMedia, [
+  body('verdict').isIn(['confirmed', 'disputed']).withMessage('Verdict must be confirmed or disputed'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1 to 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const existing = await Complaint.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Complaint not found' 
+      });
+    }
+    
+    const { verdict, rating, comment } = req.body;
+    
+    const { complaint, bonus } = await submitCleanupFeedback(existing, {
+      user: req.user,
+      verdict,
+      rating: parseInt(rating),
+      comment,
+      files: getUploadedFiles(req)
+    });
+    
+    let message = 'Thanks for confirming the cleanup!';
+    if (verdict === 'disputed') message = 'Cleanup disputed, the complaint is back under review';
+    else if (bonus > 0) message = `Thanks for confirming the cleanup! +${bonus} bonus points`;
+    
+    res.status(201).json({
+      success: true,
+      message,
+      data: {
+        status: complaint.status,
+        cleanupDispute: complaint.cleanupDispute,
+        bonus
+      }
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
+    console.error('Cleanup feedback error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error saving cleanup feedback' 
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/complaints/:id
  * @desc    Delete complaint (only if pending)
@@ -286,14 +549,17 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
     
-    // Delete image from Cloudinary
-    if (complaint.photo.publicId) {
-      await deleteFromCloudinary(complaint.photo.publicId);
-    }
+    // Delete photos/videos from storage
+    await deleteMedia(complaint.getMedia());
     
     // Delete complaint
     await complaint.deleteOne();
     
+    // One report fewer on its issue
+    if (complaint.issue) {
+      await Issue.refreshStats(complaint.issue);
+    }
+    
     // Update user stats
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { 
@@ -336,10 +602,10 @@ router.get('/nearby/:latitude/:longitude', async (req, res) => {
           $maxDistance: parseInt(radius)
         }
       },
-      status: { $in: ['pending', 'approved'] }
+      status: { $in: ['pending', 'reopened', 'approved', 'in_progress'] }
     })
       .limit(50)
-      .select('location photo category status createdAt upvotes');
+      .select('location photo.url media.type media.url media.thumbnail media.order category status createdAt upvotes');
     
     res.json({
       success: true,
@@ -361,9 +627,10 @@ module.exports = router;
  * BEGINNER EXPLANATION:
  * 
  * FILE UPLOAD:
- * - upload.single('photo') → multer middleware catches uploaded file
- * - req.file → contains file data
- * - req.file.buffer → raw image data
+ * - uploadMedia → multer middleware catches uploaded files ("media" or "photo")
+ * - getUploadedFiles(req) → the files in the order they were sent
+ * - file.buffer → raw image/video data
+ * - inspectMedia/storeMedia (utils/media.js) → checks, thumbnails, storage
  * 
  * COORDINATES:
  * - MongoDB requires [longitude, latitude] order (not lat, lon!)
@@ -374,6 +641,14 @@ module.exports = router;
  * - Uses $near operator to find nearby complaints
  * - Within 50 meters in last 24 hours
  * 
+ * SUBMISSION LIMITS (429 + Retry-After):
+ * - A few reports per 10 minutes per user (and per IP address)
+ * - DAILY_COMPLAINT_LIMIT reports per user per day
+ * 
+ * ISSUES:
+ * - Different users reporting the same spot → same Issue
+ * - Their complaints are approved (unless fraud-flagged) and cleaned together
+ * 
  * PAGINATION:
  * - page=1, limit=10 → Get first 10 results
  * - skip = (1-1) * 10 = 0 → Start from 0
@@ -384,6 +659,11 @@ module.exports = router;
  * - Instead of just userId, gets full user object
  * - Like JOIN in SQL
  * 
+ * CLEANUP FEEDBACK:
+ * - After cleanup, the reporter (and upvoters) confirm or dispute it
+ * - Dispute → complaint reopened, staff decide: clean again or keep cleaned
+ * - Reporter confirms → small bonus (once per complaint)
+ * 
  * UPVOTE SYSTEM:
  * - Community can upvote important issues
  * - Toggle: upvote → remove upvote → upvote
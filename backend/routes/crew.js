@@ -0,0 +1,169 @@
+// ================================
+// CREW ROUTES
+// ================================
+// Field crews see and complete the cleanup jobs assigned to them
+
+const express = require('express');
+const router = express.Router();
+const Complaint = require('../models/Complaint');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { uploadMedia, getUploadedFiles } = require('../utils/upload');
+const { submitCleanupProof } = require('../utils/cleanup');
+
+/**
+ * LOAD A WORK ORDER
+ * Returns the complaint if it is assigned to this crew member
+ */
+const findOwnWorkOrder = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId);
+
+  if (!complaint || !complaint.workOrder.assignedTo ||
+      complaint.workOrder.assignedTo.toString() !== user._id.toString()) {
+    return null;
+  }
+
+  return complaint;
+};
+
+/**
+ * @route   GET /api/crew/work-orders
+ * @desc    List my work orders (?status=completed for finished jobs)
+ * @access  Private (workorder:work)
+ */
+router.get('/work-orders', protect, requirePermission('workorder:work'), async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+
+    const filter = { 'workOrder.assignedTo': req.user._id };
+
+    if (status === 'open') {
+      filter['workOrder.status'] = { $in: ['assigned', 'in_progress'] };
+    } else {
+      filter['workOrder.status'] = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    // Oldest assignments first
+    const workOrders = await Complaint.find(filter)
+      .select('photo media location description category priority status workOrder ward createdAt')
+      .populate('ward', 'name code')
+      .populate('workOrder.assignedBy', 'name')
+      .sort({ 'workOrder.assignedAt': 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Complaint.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        workOrders,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch work orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching work orders'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/crew/work-orders/:id/start
+ * @desc    Start working on a job (complaint → in_progress)
+ * @access  Private (workorder:work, assigned crew only)
+ */
+router.put('/work-orders/:id/start', protect, requirePermission('workorder:work'),
+  audit('workorder.start', 'Complaint'), async (req, res) => {
+  try {
+    const complaint = await findOwnWorkOrder(req.params.id, req.user);
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    complaint.transitionTo('in_progress', { by: req.user._id, reason: req.body.notes });
+    complaint.recordWorkOrderEvent('started', { by: req.user._id, notes: req.body.notes });
+    await complaint.save();
+
+    res.json({
+      success: true,
+      message: 'Work started',
+      data: complaint
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/crew/work-orders/:id/cleanup-proof
+ * @desc    Upload after-cleanup photos/videos (complaint → cleaned, work order completed)
+ * @access  Private (workorder:work, assigned crew only)
+ */
+router.put('/work-orders/:id/cleanup-proof', protect, requirePermission('workorder:work'),
+  audit('workorder.complete', 'Complaint'), uploadMedia, async (req, res) => {
+  try {
+    const existing = await findOwnWorkOrder(req.params.id, req.user);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    const complaint = await submitCleanupProof(existing, {
+      files: getUploadedFiles(req),
+      user: req.user,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Cleanup proof uploaded, job completed',
+      data: complaint
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WORK ORDER FLOW:
+ * 1. Admin approves complaint
+ * 2. Ward officer assigns it to a crew member (PUT /api/admin/complaints/:id/assign)
+ * 3. Crew sees it in GET /api/crew/work-orders
+ * 4. Crew arrives → PUT .../start (complaint: in_progress)
+ * 5. Crew cleans → PUT .../cleanup-proof with photo (complaint: cleaned)
+ *
+ * WHO CAN DO WHAT:
+ * - Crews only ever touch jobs assigned to them (findOwnWorkOrder)
+ * - Someone else's job looks like "not found", not "forbidden",
+ *   so crews can't probe which complaint IDs exist
+ */
@@ -0,0 +1,147 @@
+// ================================
+// NOTIFICATION ROUTES
+// ================================
+// The logged-in user's in-app inbox
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get my notifications, newest first (?unread=true for unread only)
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+    if (type) filter.type = type;
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(filter)
+      .populate('complaint', 'category status location.address')
+      .populate('redemption', 'rewardType rewardValue status')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all my notifications as read
+ * @access  Private
+ */
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one of my notifications as read
+ * @access  Private
+ */
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Only the owner's notification matches; reading twice keeps the first time
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notification,
+        unreadCount: await Notification.countUnread(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification'
+    });
+  }
+});
+
+module.exports = router;
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * INBOX FLOW:
+ * 1. Admin approves a complaint → a notification is created for the reporter
+ * 2. App shows the unread count (GET /api/auth/profile → unreadNotifications)
+ * 3. User opens the inbox (GET /api/notifications)
+ * 4. Tapping one marks it read (PUT /api/notifications/:id/read)
+ *
+ * ROUTE ORDER:
+ * - /read-all is declared before /:id/read so "read-all" is never
+ *   mistaken for an id
+ */
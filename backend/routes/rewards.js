@@ -1,14 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const Redeem = require('../models/Redeem');
-const User = require('../models/User');
-const { protect, admin } = require('../middleware/auth');
+const PointsTransaction = require('../models/PointsTransaction');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const {
+  holdRedemptionPoints,
+  releaseRedemptionPoints,
+  consumeRedemptionPoints
+} = require('../utils/points');
+const { runInTransaction } = require('../utils/transaction');
+const httpError = require('../utils/httpError');
 const { getMonthlyLeaderboard, getAllTimeLeaderboard } = require('../utils/gamification');
+const { notify } = require('../utils/notifications');
+const { queueEmail } = require('../utils/email');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { publishAdminEvent } = require('../utils/adminEvents');
 
-// Request Redemption
-router.post('/redeem', protect, async (req, res) => {
+// Request Redemption (points are held in escrow until the request is settled)
+router.post('/redeem', protect, requireVerifiedEmail, async (req, res) => {
   try {
-    const { pointsToRedeem, rewardType, contactDetails, userNotes } = req.body;
+    const { rewardType, contactDetails = {}, userNotes } = req.body;
+    const pointsToRedeem = Number(req.body.pointsToRedeem);
+    
+    if (!Number.isInteger(pointsToRedeem)) {
+      return res.status(400).json({ success: false, message: 'Points must be a whole number' });
+    }
     
     // Check minimum points
     if (pointsToRedeem < Redeem.getMinimumPoints()) {
@@ -18,26 +35,49 @@ router.post('/redeem', protect, async (req, res) => {
       });
     }
     
-    // Check user has enough points
-    const user = await User.findById(req.user._id);
-    if (user.rewardPoints < pointsToRedeem) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Insufficient points' 
+    const redeem = await runInTransaction(async (session) => {
+      const redeem = new Redeem({
+        user: req.user._id,
+        pointsRedeemed: pointsToRedeem,
+        rewardType,
+        contactDetails: {
+          email: contactDetails.email || req.user.email,
+          phone: contactDetails.phone,
+          address: contactDetails.address
+        },
+        userNotes,
+        status: 'pending'
       });
-    }
+      
+      // Validate before touching the balance
+      await redeem.validate();
+      
+      // Hold points - fails if balance (minus other open requests) is too low
+      await holdRedemptionPoints(redeem, { session });
+      
+      try {
+        await redeem.save({ session });
+      } catch (error) {
+        // Without a transaction, give the points back by hand
+        if (!session) {
+          await releaseRedemptionPoints(redeem, { description: 'Redemption request failed' });
+        }
+        throw error;
+      }
+      
+      return redeem;
+    });
     
-    const redeem = await Redeem.create({
-      user: req.user._id,
-      pointsRedeemed: pointsToRedeem,
-      rewardType,
-      contactDetails: {
-        email: contactDetails.email || req.user.email,
-        phone: contactDetails.phone,
-        address: contactDetails.address
-      },
-      userNotes,
-      status: 'pending'
+    // New request on the rewards staff's live feed
+    publishAdminEvent('redemption.requested', {
+      redemption: redeem,
+      data: {
+        redemptionId: redeem._id,
+        user: { id: req.user._id, name: req.user.name },
+        rewardType: redeem.rewardType,
+        pointsRedeemed: redeem.pointsRedeemed,
+        rewardValue: redeem.rewardValue
+      }
     });
     
     res.status(201).json({ 
@@ -47,7 +87,47 @@ router.post('/redeem', protect, async (req, res) => {
     });
     
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Cancel Redemption (user, only while pending)
+router.delete('/redeem/:id', protect, async (req, res) => {
+  try {
+    const redeem = await runInTransaction(async (session) => {
+      const redeem = await Redeem.findById(req.params.id).session(session);
+      
+      if (!redeem) {
+        throw httpError('Not found', 404);
+      }
+      
+      if (redeem.user.toString() !== req.user._id.toString()) {
+        throw httpError('Not authorized to cancel this request', 403);
+      }
+      
+      if (redeem.status !== 'pending') {
+        throw httpError(`Cannot cancel a ${redeem.status} request`);
+      }
+      
+      await releaseRedemptionPoints(redeem, {
+        createdBy: req.user._id,
+        description: 'Redemption cancelled - points returned',
+        session
+      });
+      
+      redeem.status = 'cancelled';
+      await redeem.save();
+      
+      return redeem;
+    });
+    
+    res.json({ success: true, message: 'Redemption cancelled, points returned', data: redeem });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
@@ -63,33 +143,172 @@ router.get('/my-redemptions', protect, async (req, res) => {
   }
 });
 
+// Get User Points Ledger ("where did my points go")
+router.get('/ledger', protect, async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    
+    const filter = { user: req.user._id };
+    if (type) filter.type = type;
+    
+    const skip = (page - 1) * limit;
+    
+    const transactions = await PointsTransaction.find(filter)
+      .populate('complaint', 'category location.address')
+      .populate('redemption', 'rewardType rewardValue status')
+      .select('-createdBy')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await PointsTransaction.countDocuments(filter);
+    
+    // Points currently held by open redemption requests
+    const heldRequests = await Redeem.find({ user: req.user._id, 'escrow.status': 'held' })
+      .select('pointsRedeemed');
+    const heldPoints = heldRequests.reduce((sum, r) => sum + r.pointsRedeemed, 0);
+    
+    res.json({
+      success: true,
+      data: {
+        balance: req.user.rewardPoints,
+        heldPoints,
+        totalPointsEarned: req.user.totalPointsEarned,
+        transactions,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Approve Redemption (Admin)
-router.put('/redeem/:id/approve', protect, admin, async (req, res) => {
+// Without a voucher code the request is only approved (points stay held);
+// with one it is fulfilled and the held points are consumed.
+router.put('/redeem/:id/approve', protect, requirePermission('redeem:fulfil'),
+  audit('redemption.approve', 'Redeem'), async (req, res) => {
   try {
     const { voucherCode, expiryDate, instructions } = req.body;
     
-    const redeem = await Redeem.findById(req.params.id);
-    
-    // Deduct points from user
-    await User.findByIdAndUpdate(redeem.user, {
-      $inc: { rewardPoints: -redeem.pointsRedeemed }
+    const redeem = await runInTransaction(async (session) => {
+      const redeem = await Redeem.findById(req.params.id).session(session);
+      
+      if (!redeem) {
+        throw httpError('Not found', 404);
+      }
+      
+      if (!redeem.isOpen()) {
+        throw httpError(`Redemption already ${redeem.status}`);
+      }
+      
+      redeem.reviewedBy = req.user._id;
+      redeem.reviewedAt = new Date();
+      
+      if (!voucherCode) {
+        redeem.status = 'approved';
+        await redeem.save();
+        return redeem;
+      }
+      
+      // Escrow settled and voucher stored together
+      await consumeRedemptionPoints(redeem, { createdBy: req.user._id, session });
+      
+      redeem.status = 'fulfilled';
+      redeem.deliveryDetails = {
+        voucherCode,
+        expiryDate,
+        instructions,
+        deliveredAt: new Date()
+      };
+      await redeem.save();
+      
+      await notify(redeem.user, 'redemption_fulfilled', {
+        redemption: redeem,
+        rewardType: redeem.rewardType
+      }, { session });
+      
+      // The voucher goes to the email given when redeeming
+      await queueEmail('voucher_delivered', {
+        user: redeem.user,
+        to: redeem.contactDetails.email,
+        data: {
+          rewardType: redeem.rewardType,
+          rewardValue: redeem.rewardValue,
+          voucherCode,
+          expiryDate,
+          instructions
+        }
+      }, { session });
+      
+      await emitWebhookEvent('redemption.fulfilled', redeem, { session });
+      
+      return redeem;
     });
     
-    redeem.status = 'fulfilled';
-    redeem.reviewedBy = req.user._id;
-    redeem.reviewedAt = new Date();
-    redeem.deliveryDetails = {
-      voucherCode,
-      expiryDate,
-      instructions,
-      deliveredAt: new Date()
-    };
-    await redeem.save();
+    if (redeem.status === 'fulfilled') {
+      res.locals.audit = { action: 'redemption.fulfil' };
+    }
+    
+    const message = redeem.status === 'fulfilled'
+      ? 'Redemption fulfilled'
+      : 'Redemption approved, awaiting voucher';
     
-    res.json({ success: true, message: 'Redemption approved', data: redeem });
+    res.json({ success: true, message, data: redeem });
     
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Reject Redemption (Admin) - held points go back to the user
+router.put('/redeem/:id/reject', protect, requirePermission('redeem:fulfil'),
+  audit('redemption.reject', 'Redeem'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Rejection reason required' });
+    }
+    
+    const redeem = await runInTransaction(async (session) => {
+      const redeem = await Redeem.findById(req.params.id).session(session);
+      
+      if (!redeem) {
+        throw httpError('Not found', 404);
+      }
+      
+      if (!redeem.isOpen()) {
+        throw httpError(`Redemption already ${redeem.status}`);
+      }
+      
+      await releaseRedemptionPoints(redeem, {
+        createdBy: req.user._id,
+        description: `Redemption rejected: ${reason}`,
+        session
+      });
+      
+      redeem.status = 'rejected';
+      redeem.rejectionReason = reason;
+      redeem.reviewedBy = req.user._id;
+      redeem.reviewedAt = new Date();
+      await redeem.save();
+      
+      await notify(redeem.user, 'redemption_rejected', { redemption: redeem, reason }, { session });
+      await emitWebhookEvent('redemption.rejected', redeem, { session });
+      
+      return redeem;
+    });
+    
+    res.json({ success: true, message: 'Redemption rejected, points returned', data: redeem });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
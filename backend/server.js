@@ -10,12 +10,36 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const requestId = require('./middleware/requestId');
+const { scheduleJob } = require('./utils/scheduler');
+const { escalateOverdueComplaints } = require('./utils/sla');
+const { CHECK_INTERVAL_MINUTES } = require('./config/sla');
+const { driverName: storageDriver } = require('./utils/storage');
+const { LOCAL_PUBLIC_PATH, LOCAL_STORAGE_DIR } = require('./config/storage');
+const { processEmailQueue, transportName: emailTransport } = require('./utils/email');
+const { QUEUE_INTERVAL_SECONDS } = require('./config/email');
+const { processWebhookQueue } = require('./utils/webhooks');
+const { closeAllStreams } = require('./utils/adminEvents');
+const { QUEUE_INTERVAL_SECONDS: WEBHOOK_INTERVAL_SECONDS } = require('./config/webhooks');
+const { storeName: rateLimitStore } = require('./utils/rateLimit');
+const { RATE_LIMIT_ENABLED } = require('./config/rateLimit');
+const { providerName: smsProvider } = require('./utils/sms');
 
 // ================================
 // INITIALIZE EXPRESS APP
 // ================================
 const app = express();
 
+/**
+ * Behind a proxy (Render, Heroku, nginx) every request comes from the proxy;
+ * TRUST_PROXY=1 takes the client address from X-Forwarded-For instead,
+ * so rate limits count per client (req.ip)
+ */
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ================================
 // CONNECT TO DATABASE
 // ================================
@@ -38,9 +62,22 @@ app.use(cors({
   ],
   credentials: true,  // Allow cookies and authorization headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],  // Allowed HTTP methods
-  allowedHeaders: ['Content-Type', 'Authorization']  // Allowed headers
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],  // Allowed headers
+  exposedHeaders: [  // Headers the frontend may read
+    'X-Request-Id',
+    'Retry-After',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset'
+  ]
 }));
 
+/**
+ * Request ID
+ * Tags every request (req.id + X-Request-Id header) for logs and audit entries
+ */
+app.use(requestId);
+
 /**
  * Body Parsers
  * These parse incoming request bodies
@@ -54,11 +91,23 @@ app.use(express.urlencoded({ extended: true }));  // Parse URL-encoded bodies (f
  */
 if (process.env.NODE_ENV === 'development') {
   app.use((req, res, next) => {
-    console.log(`${req.method} ${req.path} - ${new Date().toISOString()}`);
+    console.log(`${req.method} ${req.path} - ${new Date().toISOString()} [${req.id}]`);
     next();
   });
 }
 
+/**
+ * Uploaded Media (local storage driver only)
+ * Cloudinary serves its own files; on local disk we serve them here
+ */
+if (storageDriver === 'local') {
+  app.use(LOCAL_PUBLIC_PATH, express.static(LOCAL_STORAGE_DIR, {
+    index: false,
+    dotfiles: 'deny',
+    maxAge: '7d'
+  }));
+}
+
 // ================================
 // API ROUTES
 // ================================
@@ -91,7 +140,9 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       complaints: '/api/complaints',
       rewards: '/api/rewards',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      crew: '/api/crew',
+      notifications: '/api/notifications'
     }
   });
 });
@@ -120,6 +171,18 @@ app.use('/api/rewards', require('./routes/rewards'));
  */
 app.use('/api/admin', require('./routes/admin'));
 
+/**
+ * Crew Routes
+ * Handles: field crew work orders (list, start, cleanup proof)
+ */
+app.use('/api/crew', require('./routes/crew'));
+
+/**
+ * Notification Routes
+ * Handles: in-app inbox, mark read
+ */
+app.use('/api/notifications', require('./routes/notifications'));
+
 // ================================
 // ERROR HANDLING MIDDLEWARE
 // ================================
@@ -173,7 +236,7 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('\n' + '='.repeat(60));
   console.log('🚀 CLEAN CITY REWARDS API SERVER');
   console.log('='.repeat(60));
@@ -181,6 +244,9 @@ app.listen(PORT, () => {
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Local URL: http://localhost:${PORT}`);
   console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
+  console.log(`🖼️  Media Storage: ${storageDriver}${storageDriver === 'local' ? ` (${LOCAL_STORAGE_DIR})` : ''}`);
+  console.log(`📱 SMS via ${smsProvider}`);
+  console.log(`🚦 Rate limits: ${RATE_LIMIT_ENABLED ? `on (${rateLimitStore} store)` : 'off'}`);
   console.log('='.repeat(60) + '\n');
   
   // Log available routes
@@ -203,8 +269,45 @@ app.listen(PORT, () => {
   console.log('   - PUT    /api/admin/complaints/:id/approve');
   console.log('   - PUT    /api/admin/complaints/:id/reject');
   console.log('   - GET    /api/admin/dashboard/stats');
+  console.log('   - GET    /api/admin/audit-log');
+  console.log('   - GET    /api/admin/webhooks');
+  console.log('   - GET    /api/admin/stream  (live feed, SSE)');
+  console.log('');
+  console.log('   Crew:');
+  console.log('   - GET    /api/crew/work-orders');
+  console.log('');
+  console.log('   Notifications:');
+  console.log('   - GET    /api/notifications');
+  console.log('   - PUT    /api/notifications/read-all');
   console.log('');
   console.log('✨ Server ready to accept requests!\n');
+
+  // Escalate complaints that missed their SLA deadline
+  if (process.env.SLA_SCHEDULER !== 'false') {
+    scheduleJob('sla-escalation', CHECK_INTERVAL_MINUTES * 60 * 1000, async () => {
+      const { checked, escalated } = await escalateOverdueComplaints();
+      if (checked) console.log(`⏱️  SLA check: ${escalated}/${checked} overdue complaints escalated`);
+    });
+    console.log(`⏱️  SLA escalation check every ${CHECK_INTERVAL_MINUTES} minutes`);
+  }
+
+  // Send queued emails (and retry failed ones)
+  if (process.env.EMAIL_QUEUE !== 'false') {
+    scheduleJob('email-queue', QUEUE_INTERVAL_SECONDS * 1000, async () => {
+      const { sent, retried, failed } = await processEmailQueue();
+      if (retried || failed) console.log(`📧 Email queue: ${sent} sent, ${retried} to retry, ${failed} failed`);
+    });
+    console.log(`📧 Emails sent via ${emailTransport} every ${QUEUE_INTERVAL_SECONDS} seconds`);
+  }
+
+  // Send queued webhook deliveries (and retry failed ones)
+  if (process.env.WEBHOOK_QUEUE !== 'false') {
+    scheduleJob('webhook-delivery', WEBHOOK_INTERVAL_SECONDS * 1000, async () => {
+      const { delivered, retried, failed } = await processWebhookQueue();
+      if (retried || failed) console.log(`🔗 Webhooks: ${delivered} delivered, ${retried} to retry, ${failed} failed`);
+    });
+    console.log(`🔗 Webhook deliveries every ${WEBHOOK_INTERVAL_SECONDS} seconds`);
+  }
 });
 
 // ================================
@@ -217,6 +320,8 @@ app.listen(PORT, () => {
  */
 process.on('SIGTERM', () => {
   console.log('\n⚠️  SIGTERM signal received: closing HTTP server');
+  // Open live feeds would keep the server from closing
+  closeAllStreams();
   server.close(() => {
     console.log('✅ HTTP server closed');
     process.exit(0);
@@ -0,0 +1,196 @@
+// ================================
+// ADMIN LIVE FEED
+// ================================
+// Publishes dashboard events and streams them to staff (Server-Sent Events):
+//   publishAdminEvent, complaintEvent, streamAdminEvents, closeAllStreams
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const AdminEvent = require('../models/AdminEvent');
+const { roleHasPermission } = require('../config/permissions');
+const {
+  STREAM_EVENTS,
+  REPLAY_LIMIT,
+  HEARTBEAT_SECONDS,
+  RECONNECT_MS
+} = require('../config/stream');
+
+// Saved events are announced here to every open stream of this server
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Open streams (ended on shutdown so the server can close)
+const openStreams = new Set();
+
+/**
+ * PUBLISH AN EVENT
+ * Saved first (for reconnecting clients), then pushed to open streams.
+ * Never throws - a live feed must not break the action that caused it.
+ */
+const publishAdminEvent = async (type, { complaint, redemption, data } = {}) => {
+  try {
+    const event = await AdminEvent.create({
+      type,
+      ward: complaint?.ward,
+      category: complaint?.category,
+      complaint: complaint?._id,
+      redemption: redemption?._id,
+      data
+    });
+
+    bus.emit('event', event);
+    return event;
+  } catch (error) {
+    console.error(`Admin feed publish failed (${type}):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * COMPLAINT EVENT: publish with the fields the review list shows
+ */
+const complaintEvent = (type, complaint, extra = {}) => publishAdminEvent(type, {
+  complaint,
+  data: {
+    complaintId: complaint._id,
+    status: complaint.status,
+    category: complaint.category,
+    priority: complaint.priority,
+    address: complaint.location?.address,
+    upvotes: complaint.upvotes,
+    reportedAt: complaint.createdAt,
+    ...extra
+  }
+});
+
+/**
+ * DOES THIS EVENT GO TO THIS STREAM?
+ * filters: { types, ward, category } - ward and category only narrow complaint events
+ */
+const matches = (event, user, { types, ward, category }) => {
+  if (!roleHasPermission(user.role, STREAM_EVENTS[event.type])) return false;
+  if (types && !types.includes(event.type)) return false;
+
+  if (event.type.startsWith('complaint.')) {
+    if (ward && (!event.ward || event.ward.toString() !== ward.toString())) return false;
+    if (category && event.category !== category) return false;
+  }
+
+  return true;
+};
+
+/**
+ * FORMAT ONE SSE MESSAGE
+ * id lets the browser send Last-Event-ID when it reconnects
+ */
+const formatEvent = (event) => [
+  `id: ${event._id}`,
+  `event: ${event.type}`,
+  `data: ${JSON.stringify({ type: event.type, ward: event.ward, category: event.category, createdAt: event.createdAt, ...event.data })}`,
+  '',
+  ''
+].join('\n');
+
+/**
+ * STREAM EVENTS TO A STAFF MEMBER
+ * - Replays events after lastEventId (reconnect), then sends new ones live
+ * - Ends at expiresAt (the login token's expiry) - the browser reconnects
+ *   with a fresh token and carries on from the last event
+ */
+const streamAdminEvents = async (req, res, { filters = {}, lastEventId, expiresAt } = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'                // nginx: don't buffer the stream
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  // Ids are compared as hex strings (same length, so text order = id order)
+  let lastSentId = /^[0-9a-f]{24}$/i.test(lastEventId) ? lastEventId.toLowerCase() : null;
+
+  // Live events arriving during the replay wait here, so none slip through the gap
+  let replaying = true;
+  const waiting = [];
+
+  const send = (event) => {
+    const id = event._id.toString();
+    if (lastSentId && id <= lastSentId) return;
+    lastSentId = id;
+    if (matches(event, req.user, filters)) res.write(formatEvent(event));
+  };
+
+  const onEvent = (event) => (replaying ? waiting.push(event) : send(event));
+  bus.on('event', onEvent);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+  const expiry = expiresAt && setTimeout(() => res.end(), Math.max(expiresAt - Date.now(), 0));
+
+  openStreams.add(res);
+
+  req.on('close', () => {
+    bus.off('event', onEvent);
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    openStreams.delete(res);
+  });
+
+  try {
+    if (lastSentId) {
+      const missed = await AdminEvent.find({ _id: { $gt: new mongoose.Types.ObjectId(lastSentId) } })
+        .sort('_id')
+        .limit(REPLAY_LIMIT + 1);
+
+      // Too far behind - tell the dashboard to reload its list instead
+      if (missed.length > REPLAY_LIMIT) {
+        res.write('event: reset\ndata: {}\n\n');
+        lastSentId = missed[missed.length - 1]._id.toString();
+      } else {
+        missed.forEach(send);
+      }
+    }
+  } catch (error) {
+    console.error('Admin feed replay failed:', error.message);
+    res.write('event: reset\ndata: {}\n\n');
+  }
+
+  replaying = false;
+  waiting.splice(0).forEach(send);
+};
+
+/**
+ * END ALL STREAMS (used on shutdown)
+ */
+const closeAllStreams = () => {
+  for (const res of openStreams) {
+    res.end();
+  }
+  openStreams.clear();
+};
+
+module.exports = {
+  publishAdminEvent,
+  complaintEvent,
+  streamAdminEvents,
+  closeAllStreams
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * SERVER-SENT EVENTS (SSE):
+ * - The browser opens one long HTTP request (new EventSource(url))
+ * - The server keeps it open and writes "event: ... data: ..." whenever
+ *   something happens - no polling, no page refresh
+ * - If the connection drops, the browser reconnects by itself and sends
+ *   the id of the last event it got (Last-Event-ID header)
+ *
+ * WHICH EVENTS?
+ * - complaint.created, complaint.status_changed, complaint.upvote_surge
+ *   (staff who can see complaints), redemption.requested (rewards staff)
+ * - Ward staff only get their own ward's complaints
+ *
+ * ONE SERVER ONLY:
+ * - Live events travel inside this Node process; with several servers
+ *   a stream only sees live events of its own server (replay sees all)
+ */
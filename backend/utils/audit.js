@@ -0,0 +1,144 @@
+// ================================
+// AUDIT LOG UTILITIES
+// ================================
+// Snapshots, diffs and CSV export for the admin audit log
+
+const AuditLog = require('../models/AuditLog');
+
+// Fields that must never be written to the audit log
+const SECRET_FIELD = /password|token|secret|otp|recovery/i;
+
+// Fields that change on every save and only add noise
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+/**
+ * REDACT SECRETS
+ * Returns a copy with password/token-like fields replaced
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      copy[key] = SECRET_FIELD.test(key) ? '[REDACTED]' : redact(child);
+    }
+    return copy;
+  }
+
+  return value;
+};
+
+/**
+ * SNAPSHOT A DOCUMENT
+ * Plain JSON copy (ObjectIds and dates become strings) with secrets removed
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return redact(JSON.parse(JSON.stringify(plain)));
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * DIFF TWO SNAPSHOTS
+ * Returns [{ path: 'status', before: 'pending', after: 'approved' }, ...]
+ * Nested objects are compared field by field; arrays as a whole.
+ */
+const diffObjects = (before, after, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffObjects(oldValue, newValue, path));
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * WRITE AN AUDIT LOG ENTRY
+ */
+const writeAuditLog = ({ req, res, action, targetType, targetId, before, after, metadata }) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    changes: diffObjects(before, after),
+    metadata: redact(metadata),
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: res.statusCode,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestId: req.id
+  });
+};
+
+/**
+ * CONVERT ROWS TO CSV
+ * columns = [{ header: 'Action', value: row => row.action }, ...]
+ */
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Stop spreadsheet apps from running cell contents as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(c => escape(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => escape(c.value(row))).join(','));
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  redact,
+  snapshot,
+  diffObjects,
+  writeAuditLog,
+  toCsv
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * SNAPSHOT → DIFF:
+ * before = { status: 'pending', pointsAwarded: 0 }
+ * after  = { status: 'approved', pointsAwarded: 15 }
+ * diff   = [
+ *   { path: 'status', before: 'pending', after: 'approved' },
+ *   { path: 'pointsAwarded', before: 0, after: 15 }
+ * ]
+ *
+ * REDACTION:
+ * - Passwords and tokens are replaced with '[REDACTED]'
+ * - The audit log is read by many people; secrets must not leak into it
+ *
+ * CSV FORMULA INJECTION:
+ * - A cell starting with = can run formulas in Excel
+ * - We prefix such cells with ' so they show as plain text
+ */
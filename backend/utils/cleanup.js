@@ -0,0 +1,191 @@
+// ================================
+// CLEANUP PROOF UTILITY
+// ================================
+// Proof: shared by the admin route and the crew work-order route
+// Feedback: the reporter and upvoters confirm or dispute the cleanup
+
+const Complaint = require('../models/Complaint');
+const { inspectMedia, storeMedia, deleteMedia } = require('./media');
+const { runInTransaction } = require('./transaction');
+const httpError = require('./httpError');
+const { findIssueSiblings } = require('./issues');
+const { hasWardAccess } = require('./wards');
+const { findMediaMatches } = require('./photoHash');
+const { awardPoints } = require('./points');
+const { notify } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
+const { FEEDBACK_WINDOW_DAYS, CONFIRMATION_BONUS_POINTS } = require('../config/cleanup');
+
+/**
+ * SUBMIT CLEANUP PROOF
+ * Uploads the photos/videos, marks the complaint cleaned and closes its work order.
+ * Approved reports of the same issue are the same site, so they are
+ * cleaned with the same proof - except flagged reports, reports of
+ * wards the user can't act on and work orders of another crew,
+ * which are closed on their own.
+ * The caller has already loaded the complaint and checked access.
+ */
+const submitCleanupProof = async (existing, { files, user, notes }) => {
+  if (!files || files.length === 0) {
+    throw httpError('Photo required');
+  }
+
+  // Check the transition before uploading anything
+  // (a disputed cleanup is cleaned again only after staff uphold the dispute)
+  if (!Complaint.canTransition(existing.status, 'cleaned') || existing.hasOpenCleanupDispute()) {
+    throw httpError(`Cannot upload cleanup proof for a ${existing.status} complaint`, 409);
+  }
+
+  // Limits, hashes and EXIF-free copies (proof photos are public too)
+  const items = await inspectMedia(files);
+
+  // An old photo passed off as proof matches an earlier report or cleanup photo
+  const photoMatches = await findMediaMatches(
+    items.filter(item => item.hash).map(item => item.hash),
+    { includeCleanup: true }
+  );
+
+  // Storage is outside the database, so upload first...
+  const media = await storeMedia(items, { folder: 'cleanup-proof' });
+
+  try {
+    return await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(existing._id).session(session);
+
+      // Unassigned siblings, or ones given to this complaint's crew, are the same job
+      const crew = complaint.workOrder && complaint.workOrder.assignedTo;
+      const sameCrew = (sibling) => {
+        const assigned = sibling.workOrder && sibling.workOrder.assignedTo;
+        return !assigned || Boolean(crew && assigned.toString() === crew.toString());
+      };
+
+      const siblings = (await findIssueSiblings(complaint, ['approved', 'in_progress'], { session }))
+        .filter(sibling => sibling.fraudFlags.length === 0 &&
+          hasWardAccess(user, sibling) &&
+          sameCrew(sibling));
+      const uploadedAt = new Date();
+
+      for (const report of [complaint, ...siblings]) {
+        report.cleanupProof = {
+          media,
+          uploadedBy: user._id,
+          uploadedAt,
+          notes
+        };
+        if (photoMatches.length > 0) {
+          report.photoMatches.push(...photoMatches.map(match => ({ ...match, stage: 'cleanup' })));
+          report.fraudFlags.addToSet('cleanup_photo_reuse');
+        }
+        report.transitionTo('cleaned', { by: user._id, reason: notes });
+        report.recordWorkOrderEvent('completed', { by: user._id, notes });
+        await report.save();
+        await notify(report.user, 'complaint_cleaned', { complaint: report }, { session });
+        await emitWebhookEvent('complaint.cleaned', report, { session });
+      }
+
+      return complaint;
+    });
+  } catch (error) {
+    // ...and remove the files again if the complaint could not be updated
+    await deleteMedia(media);
+    throw error;
+  }
+};
+
+/**
+ * SUBMIT CLEANUP FEEDBACK
+ * The reporter or an upvoter rates the cleanup, once per cleanup proof.
+ * - disputed → complaint reopened for staff review (cleaned → reopened)
+ * - confirmed by the reporter → small follow-up bonus (once per complaint)
+ * Returns { complaint, bonus }
+ */
+const submitCleanupFeedback = async (existing, { user, verdict, rating, comment, files = [] }) => {
+  const userId = user._id.toString();
+  const role = existing.user.toString() === userId ? 'reporter'
+    : existing.upvotedBy.some(id => id.toString() === userId) ? 'upvoter'
+    : null;
+
+  if (!role) {
+    throw httpError('Only the reporter and upvoters can rate this cleanup', 403);
+  }
+
+  if (existing.status !== 'cleaned') {
+    throw httpError(`Cannot give cleanup feedback on a ${existing.status} complaint`, 409);
+  }
+
+  const cleanupAt = existing.cleanupProof.uploadedAt;
+  if (!cleanupAt) {
+    throw httpError('This complaint has no cleanup proof to rate', 409);
+  }
+
+  const closesAt = new Date(cleanupAt.getTime() + FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (new Date() > closesAt) {
+    throw httpError(`Cleanup feedback closes ${FEEDBACK_WINDOW_DAYS} days after the cleanup`, 409);
+  }
+
+  // Counter-photos are checked against the complaint's location
+  const items = files.length > 0
+    ? await inspectMedia(files, { coordinates: existing.location.coordinates })
+    : [];
+  const media = items.length > 0 ? await storeMedia(items, { folder: 'cleanup-feedback' }) : undefined;
+
+  try {
+    return await runInTransaction(async (session) => {
+      const complaint = await Complaint.findById(existing._id).session(session);
+
+      // Re-check inside the transaction: another dispute may have just reopened it
+      if (complaint.status !== 'cleaned' || complaint.cleanupProof.uploadedAt.getTime() !== cleanupAt.getTime()) {
+        throw httpError('The cleanup changed while you were rating it, please reload', 409);
+      }
+
+      const alreadyRated = complaint.cleanupFeedback.some(
+        f => f.user.toString() === userId && f.cleanupAt && f.cleanupAt.getTime() === cleanupAt.getTime()
+      );
+      if (alreadyRated) {
+        throw httpError('You already rated this cleanup', 409);
+      }
+
+      complaint.cleanupFeedback.push({ user: user._id, role, verdict, rating, comment, media, cleanupAt });
+
+      if (verdict === 'disputed') {
+        complaint.transitionTo('reopened', { by: user._id, reason: comment || 'Cleanup disputed' });
+        complaint.cleanupDispute = {
+          status: 'open',
+          openedBy: user._id,
+          openedAt: new Date(),
+          reason: comment
+        };
+      }
+
+      await complaint.save();
+
+      if (verdict === 'disputed') {
+        await emitWebhookEvent('complaint.reopened', complaint, { session });
+      }
+
+      // Reporters whose points were held or denied get no bonus either
+      let bonus = 0;
+      const paidNormally = !['held', 'denied'].includes(complaint.pointsHold.status);
+
+      if (verdict === 'confirmed' && role === 'reporter' && paidNormally && CONFIRMATION_BONUS_POINTS > 0) {
+        const { replayed } = await awardPoints(complaint.user, CONFIRMATION_BONUS_POINTS, {
+          complaint: complaint._id,
+          description: 'Confirmed the cleanup of your report',
+          createdBy: user._id,
+          idempotencyKey: `complaint:${complaint._id}:cleanup-confirm`,
+          session
+        });
+        if (!replayed) bonus = CONFIRMATION_BONUS_POINTS;
+      }
+
+      return { complaint, bonus };
+    });
+  } catch (error) {
+    // The counter-photos belong to feedback that was not saved
+    if (media) await deleteMedia(media);
+    throw error;
+  }
+};
+
+module.exports = { submitCleanupProof, submitCleanupFeedback };
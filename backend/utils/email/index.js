@@ -0,0 +1,184 @@
+// ================================
+// EMAIL
+// ================================
+// Queues emails and sends them in the background through the configured transport:
+//   queueEmail, processEmailQueue
+
+const EmailMessage = require('../../models/EmailMessage');
+const User = require('../../models/User');
+const { render } = require('./templates');
+const {
+  EMAIL_EVENTS,
+  EMAIL_TRANSPORT,
+  EMAIL_FROM,
+  MAX_ATTEMPTS,
+  SENDING_TIMEOUT_MINUTES,
+  retryDelayMinutes
+} = require('../../config/email');
+
+const transports = {
+  smtp: require('./transports/smtpTransport'),
+  file: require('./transports/fileTransport'),
+  console: require('./transports/consoleTransport')
+};
+
+/**
+ * PICK A TRANSPORT (the configured one by default)
+ */
+const getTransport = (name = EMAIL_TRANSPORT) => {
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}" (use ${Object.keys(transports).join(', ')})`);
+  }
+
+  return transport;
+};
+
+/**
+ * QUEUE AN EMAIL
+ * user: User document or id - sets the recipient and greeting, and is
+ *       checked against the user's email preferences
+ * to: send to this address instead (e.g. the redemption's contact email)
+ * Returns the queued EmailMessage, or null when the user opted out
+ */
+const queueEmail = async (event, { user, to, data = {} }, { session = null } = {}) => {
+  let recipient = user;
+
+  if (user && !(user instanceof User)) {
+    recipient = await User.findById(user).select('name email emailPreferences').session(session);
+  }
+
+  if (recipient && !recipient.wantsEmail(event)) return null;
+
+  const address = to || recipient?.email;
+  if (!address) return null;
+
+  const { subject, text, html } = render(event, { name: recipient?.name, ...data });
+
+  const [message] = await EmailMessage.create([{
+    to: address,
+    subject,
+    text,
+    html,
+    event,
+    user: recipient?._id
+  }], { session });
+
+  return message;
+};
+
+/**
+ * CLAIM THE NEXT DUE EMAIL
+ * Atomic, so two servers never send the same email.
+ * Emails stuck in "sending" (server stopped mid-send) are picked up again.
+ */
+const claimNext = (now) => {
+  const staleBefore = new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * SEND ONE CLAIMED EMAIL
+ * Failures are retried later with a growing delay, up to MAX_ATTEMPTS
+ */
+const deliver = async (message, now) => {
+  const transport = getTransport();
+
+  try {
+    const { messageId } = await transport.send({
+      from: EMAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      secret: Boolean(EMAIL_EVENTS[message.event].secret)
+    });
+
+    message.set({
+      status: 'sent',
+      sentAt: new Date(),
+      transport: transport.name,
+      messageId,
+      lockedAt: undefined,
+      lastError: undefined
+    });
+
+    // One-time links must not stay readable in the database
+    if (EMAIL_EVENTS[message.event].secret) {
+      message.set({ text: '(removed after sending: contained a one-time link)', html: undefined });
+    }
+
+    await message.save();
+    return 'sent';
+
+  } catch (error) {
+    const giveUp = message.attempts >= MAX_ATTEMPTS;
+
+    message.set({
+      status: giveUp ? 'failed' : 'queued',
+      nextAttemptAt: new Date(now.getTime() + retryDelayMinutes(message.attempts) * 60 * 1000),
+      transport: transport.name,
+      lockedAt: undefined,
+      lastError: error.message
+    });
+    await message.save();
+
+    console.error(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}):`, error.message);
+    return giveUp ? 'failed' : 'retried';
+  }
+};
+
+/**
+ * SEND DUE EMAILS
+ * Called by the scheduler every few seconds
+ */
+const processEmailQueue = async (now = new Date(), batchSize = 50) => {
+  const result = { sent: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < batchSize; i++) {
+    const message = await claimNext(now);
+    if (!message) break;
+
+    result[await deliver(message, now)] += 1;
+  }
+
+  return result;
+};
+
+module.exports = {
+  queueEmail,
+  processEmailQueue,
+  transportName: getTransport().name
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * FLOW:
+ * 1. Admin approves a complaint → queueEmail('complaint_approved', { user, data })
+ *    saves an EmailMessage (nothing is sent yet - the request stays fast)
+ * 2. Every QUEUE_INTERVAL_SECONDS the scheduler calls processEmailQueue()
+ * 3. It sends due emails; a failure is retried after 1, 2, 4, 8 ... minutes
+ *
+ * PREFERENCES:
+ * - Users turn off optional emails on their profile (emailPreferences)
+ * - Voucher and password reset emails are always sent
+ *
+ * TRANSPORTS (EMAIL_TRANSPORT in .env):
+ * - smtp: real mail server
+ * - file: .eml files in the outbox folder - open them in any mail app (development only)
+ * - console: printed in the server log, one-time links hidden (development only)
+ * ADDING ONE: create transports/xTransport.js exporting { name, send }
+ * and add it to the list above
+ */
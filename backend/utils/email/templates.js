@@ -0,0 +1,143 @@
+// ================================
+// EMAIL TEMPLATES
+// ================================
+// One template per email event: data → { subject, text, html }
+
+const { APP_URL } = require('../../config/email');
+
+/**
+ * ESCAPE: Make user-typed text safe to put in HTML
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric', month: 'long', year: 'numeric'
+});
+
+const complaintLabel = (complaint) => {
+  const category = String(complaint?.category || 'waste').replace(/_/g, ' ');
+  const address = complaint?.location?.address;
+  return address ? `${category} report at ${address}` : `${category} report`;
+};
+
+/**
+ * TEMPLATES
+ * Each returns { subject, lines, link } - lines are plain text paragraphs,
+ * the text and HTML versions are both built from them (see render below)
+ */
+const TEMPLATES = {
+  complaint_approved: ({ complaint, points, held }) => ({
+    subject: 'Your complaint was approved',
+    lines: [
+      `Your ${complaintLabel(complaint)} was approved. Thank you for keeping the city clean!`,
+      held
+        ? 'Your points are being reviewed and will be added to your balance soon.'
+        : `You earned ${points} points.`
+    ],
+    link: { label: 'View my complaints', url: `${APP_URL}/dashboard` }
+  }),
+
+  complaint_rejected: ({ complaint, reason }) => ({
+    subject: 'Your complaint was not approved',
+    lines: [
+      `Your ${complaintLabel(complaint)} was not approved.`,
+      reason ? `Reason: ${reason}` : 'See the complaint for details.'
+    ],
+    link: { label: 'View my complaints', url: `${APP_URL}/dashboard` }
+  }),
+
+  complaint_cleaned: ({ complaint, feedbackDays }) => ({
+    subject: 'The spot you reported was cleaned',
+    lines: [
+      `Good news: the ${complaintLabel(complaint)} has been cleaned.`,
+      `Have a look at the cleanup photos and confirm or dispute the cleanup within ${feedbackDays} days.`
+    ],
+    link: { label: 'Check the cleanup', url: `${APP_URL}/dashboard` }
+  }),
+
+  voucher_delivered: ({ rewardType, rewardValue, voucherCode, expiryDate, instructions }) => ({
+    subject: 'Your reward is ready',
+    lines: [
+      `Your ${String(rewardType).replace(/_/g, ' ')} (worth ₹${rewardValue}) has been issued.`,
+      voucherCode && `Voucher code: ${voucherCode}`,
+      expiryDate && `Valid until: ${formatDate(expiryDate)}`,
+      instructions && `How to use it: ${instructions}`
+    ],
+    link: { label: 'My redemptions', url: `${APP_URL}/redeem` }
+  }),
+
+  password_reset: ({ resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    lines: [
+      'Someone (hopefully you) asked to reset the password of your Clean City account.',
+      `The link below works once and expires in ${expiresInMinutes} minutes.`,
+      'If you did not ask for this, you can ignore this email - your password stays the same.'
+    ],
+    link: { label: 'Reset password', url: resetUrl }
+  }),
+
+  email_verification: ({ verifyUrl, expiresInHours }) => ({
+    subject: 'Confirm your email address',
+    lines: [
+      'Welcome to Clean City Rewards! Please confirm this is your email address.',
+      `You can report garbage and redeem points once it is confirmed. The link expires in ${expiresInHours} hours.`,
+      'If you did not sign up, you can ignore this email.'
+    ],
+    link: { label: 'Confirm email', url: verifyUrl }
+  })
+};
+
+/**
+ * RENDER: Build the email for an event
+ * Returns { subject, text, html }
+ */
+const render = (event, data = {}) => {
+  const template = TEMPLATES[event];
+
+  if (!template) {
+    throw new Error(`No email template for "${event}"`);
+  }
+
+  const { subject, lines, link } = template(data);
+  const greeting = `Hello ${data.name || 'there'},`;
+  const paragraphs = lines.filter(Boolean);
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    link && `${link.label}: ${link.url}`,
+    '- Clean City Rewards'
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(line => `<p>${escapeHtml(line)}</p>`),
+    link && `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`,
+    '<p>- Clean City Rewards</p>'
+  ].filter(Boolean).join('\n');
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  render,
+  escapeHtml
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY ESCAPE?
+ * - Reasons and instructions are typed by staff; "<script>" in a reason
+ *   must show up as text, not run in the user's mail app
+ *
+ * ADDING AN EMAIL:
+ * - Add the event to EMAIL_EVENTS in config/email.js
+ * - Add its template above
+ * - queueEmail('my_event', { user, data }) where it happens
+ */
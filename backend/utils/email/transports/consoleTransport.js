@@ -0,0 +1,27 @@
+// ================================
+// CONSOLE EMAIL TRANSPORT
+// ================================
+// Prints emails in the server log (default when no SMTP server is configured)
+
+const crypto = require('crypto');
+
+/**
+ * SEND: { from, to, subject, text, html, secret } → { messageId }
+ * secret: the body holds a one-time link, so only the subject is printed
+ */
+const send = async ({ to, subject, text, secret }) => {
+  const messageId = `<${crypto.randomUUID()}@console>`;
+
+  const body = secret
+    ? '(body not logged: contains a one-time link - use EMAIL_TRANSPORT=file to read it)'
+    : text;
+
+  console.log(`📧 Email to ${to}: ${subject}\n${body}\n`);
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
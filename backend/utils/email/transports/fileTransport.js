@@ -0,0 +1,33 @@
+// ================================
+// FILE EMAIL TRANSPORT
+// ================================
+// Writes each email as an .eml file instead of sending it (development and tests)
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { EMAIL_FILE_DIR } = require('../../../config/email');
+
+// Builds the raw email (headers + body) without a mail server
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+/**
+ * SEND: { from, to, subject, text, html } → { messageId }
+ */
+const send = async (message) => {
+  const info = await builder.sendMail(message);
+
+  // <abc@host> → abc@host.eml (sorts by time thanks to the prefix)
+  const id = info.messageId.replace(/[<>]/g, '');
+  const file = path.join(EMAIL_FILE_DIR, `${Date.now()}-${id.replace(/[^\w.@-]/g, '_')}.eml`);
+
+  await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+  await fs.writeFile(file, info.message);
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
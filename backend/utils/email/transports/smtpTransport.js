@@ -0,0 +1,40 @@
+// ================================
+// SMTP EMAIL TRANSPORT
+// ================================
+// Sends through a real mail server (or a local one like MailHog / smtp4dev)
+
+const nodemailer = require('nodemailer');
+const { SMTP } = require('../../../config/email');
+
+// Created on first use, so the app starts without SMTP settings
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!SMTP.host) {
+      throw new Error('SMTP_HOST is not set');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: SMTP.host,
+      port: SMTP.port,
+      secure: SMTP.secure,
+      auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * SEND: { from, to, subject, text, html } → { messageId }
+ */
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -5,6 +5,7 @@
 
 const User = require('../models/User');
 const Complaint = require('../models/Complaint');
+const { notify } = require('./notifications');
 
 /**
  * GET MONTHLY LEADERBOARD
@@ -21,8 +22,9 @@ const getMonthlyLeaderboard = async (limit = 10) => {
     const leaderboard = await Complaint.aggregate([
       {
         // Filter: Only approved complaints from this month
+        // (approved ones stay counted once cleanup starts or finishes)
         $match: {
-          status: 'approved',
+          status: { $in: ['approved', 'in_progress', 'cleaned'] },
           createdAt: { $gte: startOfMonth, $lte: endOfMonth }
         }
       },
@@ -208,6 +210,8 @@ const awardBadge = async (userId, badgeName) => {
     
     await user.save();
     
+    await notify(userId, 'badge_earned', { badge: { name: badgeName, icon: badgeInfo.icon } });
+    
     return { 
       awarded: true, 
       badge: badgeInfo,
@@ -223,10 +227,11 @@ const awardBadge = async (userId, badgeName) => {
 /**
  * CHECK AND AWARD AUTOMATIC BADGES
  * Called after complaint approval
+ * Pass { session } to run inside a transaction
  */
-const checkAutoBadges = async (userId) => {
+const checkAutoBadges = async (userId, { session = null } = {}) => {
   try {
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).session(session);
     
     if (!user) return;
     
@@ -236,6 +241,11 @@ const checkAutoBadges = async (userId) => {
       await user.save();
     }
     
+    // Tell the user about each new badge
+    for (const badge of newBadges) {
+      await notify(userId, 'badge_earned', { badge }, { session });
+    }
+    
     return newBadges;
     
   } catch (error) {
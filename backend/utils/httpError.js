@@ -0,0 +1,17 @@
+// ================================
+// HTTP ERROR HELPER
+// ================================
+// Errors that carry the HTTP status routes should respond with
+
+/**
+ * CREATE AN ERROR WITH HTTP STATUS
+ * Throw it from helpers (or inside a transaction) and let the
+ * route's catch block send it: res.status(error.status || 500)
+ */
+const httpError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,262 @@
+// ================================
+// ISSUE UTILITIES
+// ================================
+// Clustering of duplicate reports, points sharing, merge and split
+
+const Issue = require('../models/Issue');
+const Complaint = require('../models/Complaint');
+const httpError = require('./httpError');
+const { CLUSTER_RADIUS_METERS, CLUSTER_WINDOW_HOURS, confirmationPoints } = require('../config/issues');
+
+/**
+ * IS THE ISSUE OUTSIDE THE USER'S WARD?
+ * Staff tied to a ward may only merge or split that ward's issues
+ */
+const inOtherWard = (user, issue) => {
+  return Boolean(user && user.ward &&
+    (!issue.ward || issue.ward.toString() !== user.ward.toString()));
+};
+
+/**
+ * FIND THE OPEN ISSUE A NEW REPORT WOULD JOIN (or null)
+ * The nearest open issue of the same category and ward within the
+ * radius that was reported recently.
+ * (An overflowing bin next to an illegal dump, or across a ward border,
+ * is a separate job - approving one must not approve the other.)
+ */
+const findOpenIssue = (coordinates, { ward, category } = {}) => {
+  const windowStart = new Date(Date.now() - CLUSTER_WINDOW_HOURS * 60 * 60 * 1000);
+
+  // $nearSphere returns the closest issue first
+  return Issue.findOne({
+    status: 'open',
+    category,
+    ward: ward || null,                     // null also matches issues without a ward
+    lastReportedAt: { $gte: windowStart },
+    location: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: CLUSTER_RADIUS_METERS
+      }
+    }
+  });
+};
+
+/**
+ * FIND OR START THE ISSUE FOR A NEW REPORT
+ * Joins the open issue from findOpenIssue; otherwise starts a new issue here.
+ * Pass the session the report is created in, so a failed report leaves no empty issue.
+ */
+const findOrCreateIssue = async (coordinates, { ward, category, session = null } = {}) => {
+  const now = new Date();
+  const existing = await findOpenIssue(coordinates, { ward, category }).session(session);
+
+  if (existing) return { issue: existing, isNew: false };
+
+  const [issue] = await Issue.create([{
+    location: { type: 'Point', coordinates },
+    ward,
+    category,
+    firstReportedAt: now,
+    lastReportedAt: now
+  }], { session });
+
+  return { issue, isNew: true };
+};
+
+/**
+ * OTHER REPORTS OF THE SAME ISSUE (in the given statuses)
+ * Oldest first, so the earliest reporter is handled first
+ */
+const findIssueSiblings = (complaint, statuses, { session = null } = {}) => {
+  if (!complaint.issue) return Promise.resolve([]);
+
+  return Complaint.find({
+    issue: complaint.issue,
+    _id: { $ne: complaint._id },
+    status: { $in: statuses }
+  })
+    .sort('createdAt')
+    .session(session);
+};
+
+/**
+ * DECIDE POINTS FOR AN APPROVED REPORT
+ * The first approved report of an issue is its primary report and earns
+ * full points; later ones earn a confirmation award. Sets issueRole and
+ * pointsAwarded on the complaint - caller must save().
+ */
+const assignIssueRole = async (complaint, { session = null } = {}) => {
+  const fullPoints = complaint.calculatePoints();
+
+  // Reports from before issues existed always earn full points
+  if (!complaint.issue) {
+    complaint.pointsAwarded = fullPoints;
+    return complaint;
+  }
+
+  const issue = await Issue.findById(complaint.issue).session(session);
+
+  if (issue && !issue.primaryComplaint) {
+    issue.primaryComplaint = complaint._id;
+    await issue.save();
+  }
+
+  const isPrimary = !issue || issue.primaryComplaint.toString() === complaint._id.toString();
+
+  complaint.issueRole = isPrimary ? 'primary' : 'confirmation';
+  complaint.pointsAwarded = isPrimary ? fullPoints : confirmationPoints(fullPoints);
+  return complaint;
+};
+
+/**
+ * MERGE ISSUES
+ * Moves every report of the source issues into the target issue.
+ * Points already paid are not taken back; the target keeps its primary
+ * report, or adopts the earliest paid primary of the sources.
+ */
+const mergeIssues = async (targetId, sourceIds, { user, session = null } = {}) => {
+  const ids = [...new Set(sourceIds.map(String))].filter(id => id !== String(targetId));
+  const by = user && user._id;
+
+  if (ids.length === 0) {
+    throw httpError('Provide at least one other issue to merge');
+  }
+
+  const target = await Issue.findById(targetId).session(session);
+  const sources = await Issue.find({ _id: { $in: ids } }).sort('firstReportedAt').session(session);
+
+  if (!target || sources.length !== ids.length) {
+    throw httpError('Issue not found', 404);
+  }
+
+  for (const issue of [target, ...sources]) {
+    if (issue.status !== 'open') {
+      throw httpError(`Issue ${issue._id} is ${issue.status} and cannot be merged`, 409);
+    }
+    if (inOtherWard(user, issue)) {
+      throw httpError('This issue belongs to another ward', 403);
+    }
+  }
+
+  const moved = [];
+
+  for (const source of sources) {
+    const complaints = await Complaint.find({ issue: source._id }).select('_id').session(session);
+    const complaintIds = complaints.map(c => c._id);
+
+    await Complaint.updateMany({ issue: source._id }, { $set: { issue: target._id } }, { session });
+
+    if (!target.primaryComplaint && source.primaryComplaint) {
+      target.primaryComplaint = source.primaryComplaint;
+    }
+
+    source.status = 'merged';
+    source.mergedInto = target._id;
+    source.history.push({ action: 'merged_into', issue: target._id, complaints: complaintIds, by });
+    await source.save();
+
+    target.history.push({ action: 'merged_in', issue: source._id, complaints: complaintIds, by });
+    moved.push(...complaintIds);
+  }
+
+  await target.save();
+  const merged = await Issue.refreshStats(target._id, { session });
+
+  return { issue: merged, movedComplaints: moved.length };
+};
+
+/**
+ * SPLIT REPORTS OUT OF AN ISSUE
+ * The chosen reports become a new issue of their own (e.g. two
+ * different dumps on the same street that were wrongly clustered).
+ */
+const splitIssue = async (issueId, complaintIds, { user, session = null } = {}) => {
+  const ids = [...new Set((complaintIds || []).map(String))];
+  const by = user && user._id;
+
+  if (ids.length === 0) {
+    throw httpError('Provide the complaints to split out');
+  }
+
+  const issue = await Issue.findById(issueId).session(session);
+
+  if (!issue) {
+    throw httpError('Issue not found', 404);
+  }
+
+  if (issue.status === 'merged') {
+    throw httpError('Issue was merged and cannot be split', 409);
+  }
+
+  if (inOtherWard(user, issue)) {
+    throw httpError('This issue belongs to another ward', 403);
+  }
+
+  const complaints = await Complaint.find({ _id: { $in: ids }, issue: issue._id })
+    .sort('createdAt')
+    .session(session);
+
+  if (complaints.length !== ids.length) {
+    throw httpError('Every complaint must belong to this issue');
+  }
+
+  if (complaints.length >= issue.reportCount) {
+    throw httpError('Cannot split out every report of an issue');
+  }
+
+  if (complaints.some(c => c.status === 'cleaned')) {
+    throw httpError('Cleaned reports cannot be split out', 409);
+  }
+
+  // New issue starts at the earliest report that moves
+  const first = complaints[0];
+  const movingPrimary = issue.primaryComplaint &&
+    complaints.some(c => c._id.toString() === issue.primaryComplaint.toString());
+
+  const [newIssue] = await Issue.create([{
+    location: { type: 'Point', coordinates: first.location.coordinates },
+    ward: first.ward,
+    category: first.category,
+    primaryComplaint: movingPrimary ? issue.primaryComplaint : undefined,
+    splitFrom: issue._id,
+    history: [{ action: 'split_from', issue: issue._id, complaints: ids, by }]
+  }], { session });
+
+  await Complaint.updateMany({ _id: { $in: ids } }, { $set: { issue: newIssue._id } }, { session });
+
+  // The next approval in the old issue earns full points again
+  if (movingPrimary) issue.primaryComplaint = undefined;
+  issue.history.push({ action: 'split_out', issue: newIssue._id, complaints: ids, by });
+  await issue.save();
+
+  return {
+    issue: await Issue.refreshStats(issue._id, { session }),
+    newIssue: await Issue.refreshStats(newIssue._id, { session })
+  };
+};
+
+module.exports = {
+  findOpenIssue,
+  findOrCreateIssue,
+  findIssueSiblings,
+  assignIssueRole,
+  mergeIssues,
+  splitIssue
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * CLUSTERING A NEW REPORT:
+ * 1. Citizen reports garbage at [77.21, 28.62]
+ * 2. Is there an open issue within 50 m, last reported in the past 72 h?
+ * 3. Yes → the report joins it. No → a new issue starts here.
+ *
+ * POINTS SHARING:
+ * - First approved report of an issue: full points (e.g. 20)
+ * - Every other report: confirmation award (25%, e.g. 5)
+ *
+ * MERGE: two issues that are really one → all reports move to the target
+ * SPLIT: one issue that is really two → chosen reports get a new issue
+ */
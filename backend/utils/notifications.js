@@ -0,0 +1,128 @@
+// ================================
+// NOTIFICATION UTILITY
+// ================================
+// Puts messages in users' in-app inboxes when something happens to them
+
+const Notification = require('../models/Notification');
+const { queueEmail } = require('./email');
+const { FEEDBACK_WINDOW_DAYS } = require('../config/cleanup');
+
+/**
+ * MESSAGE TEMPLATES
+ * One per notification type: data → { title, message }
+ */
+const TEMPLATES = {
+  complaint_approved: ({ points, held }) => ({
+    title: 'Your complaint was approved',
+    message: held
+      ? 'Thanks for reporting! Your points are being reviewed and will follow soon.'
+      : `Thanks for reporting! You earned ${points} points.`
+  }),
+
+  complaint_rejected: ({ reason }) => ({
+    title: 'Your complaint was not approved',
+    message: reason ? `Reason: ${reason}` : 'See the complaint for details.'
+  }),
+
+  complaint_cleaned: () => ({
+    title: 'The spot you reported was cleaned',
+    message: `Have a look at the cleanup photos and confirm or dispute within ${FEEDBACK_WINDOW_DAYS} days.`
+  }),
+
+  cleanup_dispute_resolved: ({ upheld }) => ({
+    title: upheld ? 'Your cleanup dispute was upheld' : 'Your cleanup dispute was dismissed',
+    message: upheld
+      ? 'The spot will be cleaned again.'
+      : 'Our team checked the cleanup and considers the spot clean.'
+  }),
+
+  points_reviewed: ({ points, released, reason }) => ({
+    title: released ? 'Your points were released' : 'Your points were not awarded',
+    message: released ? `${points} points were added to your balance.` : `Reason: ${reason}`
+  }),
+
+  redemption_fulfilled: ({ rewardType }) => ({
+    title: 'Your reward is ready',
+    message: `Your ${String(rewardType).replace(/_/g, ' ')} has been issued - see My Redemptions for the code.`
+  }),
+
+  redemption_rejected: ({ reason }) => ({
+    title: 'Your redemption was rejected',
+    message: `Your points were returned. Reason: ${reason}`
+  }),
+
+  badge_earned: ({ badge }) => ({
+    title: `New badge: ${badge.icon || ''} ${badge.name}`.replace(/\s+/g, ' '),
+    message: 'Congratulations! Keep reporting to earn the next one.'
+  }),
+
+  sla_escalation: ({ stage, level, toPriority }) => ({
+    title: `Overdue complaint escalated (level ${level})`,
+    message: `The ${stage} deadline was missed; priority raised to ${toPriority}.`
+  })
+};
+
+// Notifications that are also emailed (if the user wants them - see emailPreferences)
+const EMAILED_TYPES = ['complaint_approved', 'complaint_rejected', 'complaint_cleaned'];
+
+/**
+ * NOTIFY A USER
+ * data: values for the template, plus optional complaint / redemption links
+ * Pass { session } to create it in the same transaction as the change
+ */
+const notify = async (userId, type, data = {}, { session = null } = {}) => {
+  const [notification] = await notifyMany([userId], type, data, { session });
+  return notification;
+};
+
+/**
+ * NOTIFY SEVERAL USERS (same message)
+ */
+const notifyMany = async (userIds, type, data = {}, { session = null } = {}) => {
+  if (userIds.length === 0) return [];
+
+  const { title, message } = TEMPLATES[type](data);
+
+  // Cut to the schema limits - a long reason typed by staff must not fail the whole action
+  const notifications = await Notification.insertMany(userIds.map(user => ({
+    user,
+    type,
+    title: title.slice(0, 120),
+    message: message && message.slice(0, 500),
+    complaint: data.complaint && (data.complaint._id || data.complaint),
+    redemption: data.redemption && (data.redemption._id || data.redemption)
+  })), { session });
+
+  if (EMAILED_TYPES.includes(type)) {
+    for (const user of userIds) {
+      await queueEmail(type, { user, data: { feedbackDays: FEEDBACK_WINDOW_DAYS, ...data } }, { session });
+    }
+  }
+
+  return notifications;
+};
+
+module.exports = {
+  notify,
+  notifyMany
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * USAGE:
+ *   await notify(complaint.user, 'complaint_approved',
+ *     { complaint, points: 15 }, { session });
+ *
+ * WHY PASS THE SESSION?
+ * - The notification is saved in the same transaction as the approval
+ * - If the approval fails and rolls back, no "approved!" message is left behind
+ *
+ * EMAIL:
+ * - Types in EMAILED_TYPES also queue an email (utils/email) in the same
+ *   transaction, unless the user turned that email off
+ *
+ * ADDING A TYPE:
+ * - Add it to NOTIFICATION_TYPES in models/Notification.js
+ * - Add its template above
+ */
@@ -0,0 +1,186 @@
+// ================================
+// PHONE OTP UTILITY
+// ================================
+// One-time SMS codes for phone login and phone verification:
+//   normalizePhone, requestOtp, checkOtp, consumeOtp
+
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const httpError = require('./httpError');
+const { sendSms } = require('./sms');
+const { hit } = require('./rateLimit');
+const { RATE_LIMITS, RATE_LIMIT_ENABLED } = require('../config/rateLimit');
+const {
+  DEFAULT_COUNTRY_CODE,
+  OTP_DIGITS,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_SECONDS
+} = require('../config/sms');
+
+/**
+ * NORMALIZE A PHONE NUMBER → international format (+919876543210), or null
+ * "98765 43210", "098765-43210", "0091 98765 43210" all give the same number,
+ * so one person can't sign up twice by typing it differently
+ */
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return null;
+
+  let number = phone.replace(/[\s().-]/g, '');
+  if (number.startsWith('00')) number = `+${number.slice(2)}`;
+  if (!number.startsWith('+')) number = `${DEFAULT_COUNTRY_CODE}${number.replace(/^0+/, '')}`;
+
+  return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+};
+
+/**
+ * HASH A CODE
+ * Keyed with the server secret: 6-digit codes are too few to survive
+ * a plain hash if the database leaks
+ */
+const hashCode = (phone, purpose, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${phone}:${purpose}:${code}`)
+  .digest('hex');
+
+// 429 error that tells the route how long to wait
+const waitError = (message, retryAfter) => {
+  const error = httpError(message, 429);
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * SEND A CODE BY SMS
+ * purpose: 'login' or 'verify_phone' (with user)
+ * Throws 429 (error.retryAfter) when asked again too soon or too often,
+ * 502 when the SMS provider fails
+ */
+const requestOtp = async (phone, purpose, { user = null } = {}) => {
+  const filter = { phone, purpose, user };
+  const now = new Date();
+
+  const previous = await PhoneOtp.findOne(filter).select('sentAt consumedAt');
+  const wait = previous && !previous.consumedAt
+    ? Math.ceil(OTP_RESEND_SECONDS - (now - previous.sentAt) / 1000)
+    : 0;
+
+  if (wait > 0) {
+    throw waitError(`Please wait ${wait} seconds before asking for another code`, wait);
+  }
+
+  // Every SMS costs money - cap codes per number, whoever asks
+  if (RATE_LIMIT_ENABLED) {
+    const limit = await hit(`otp_phone:phone:${phone}`, RATE_LIMITS.otp_phone).catch(error => {
+      console.error('Rate limit check failed (otp_phone):', error.message);
+      return { allowed: true };
+    });
+
+    if (!limit.allowed) {
+      throw waitError('Too many codes sent to this number, please try again later', limit.retryAfterSeconds);
+    }
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_DIGITS)).padStart(OTP_DIGITS, '0');
+
+  // Replaces the previous code, so only the latest SMS works
+  const otp = await PhoneOtp.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        codeHash: hashCode(phone, purpose, code),
+        attempts: 0,
+        sentAt: now,
+        expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000)
+      },
+      $unset: { consumedAt: 1, provider: 1, messageId: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  try {
+    const { provider, messageId } = await sendSms(
+      phone,
+      `${code} is your Clean City Rewards code. It expires in ${OTP_TTL_MINUTES} minutes. Never share it with anyone.`
+    );
+    await PhoneOtp.updateOne({ _id: otp._id }, { $set: { provider, messageId } });
+  } catch (error) {
+    console.error(`SMS to ${phone} failed:`, error.message);
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    throw httpError('Could not send the SMS, please try again later', 502);
+  }
+
+  return otp;
+};
+
+/**
+ * CHECK A CODE
+ * Each call uses up one of OTP_MAX_ATTEMPTS guesses (atomic, so parallel
+ * guesses can't get around it). Returns the PhoneOtp - pass it to
+ * consumeOtp once the action it allows is going ahead.
+ */
+const checkOtp = async (phone, code, purpose, { user = null } = {}) => {
+  const otp = await PhoneOtp.findOneAndUpdate(
+    {
+      phone,
+      purpose,
+      user,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    throw httpError('Code is invalid or has expired, please ask for a new one', 400);
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const given = Buffer.from(hashCode(phone, purpose, String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = OTP_MAX_ATTEMPTS - otp.attempts;
+    throw httpError(left > 0
+      ? `Wrong code (${left} ${left === 1 ? 'try' : 'tries'} left)`
+      : 'Wrong code, please ask for a new one', 400);
+  }
+
+  return otp;
+};
+
+/**
+ * USE UP A CODE (it never works again)
+ */
+const consumeOtp = async (otp) => {
+  const result = await PhoneOtp.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw httpError('Code was already used, please ask for a new one', 400);
+  }
+};
+
+module.exports = {
+  normalizePhone,
+  requestOtp,
+  checkOtp,
+  consumeOtp
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * PHONE LOGIN:
+ * 1. POST /api/auth/otp/request { phone } → 6-digit code by SMS
+ * 2. POST /api/auth/otp/verify { phone, code } → logged in
+ *    (new number: also send { name } and the account is created)
+ *
+ * SAFETY:
+ * - Codes expire after OTP_TTL_MINUTES and allow OTP_MAX_ATTEMPTS guesses
+ * - A new code needs OTP_RESEND_SECONDS, and each number gets only a few per hour
+ * - Only a keyed hash is stored, and a used code never works again
+ */
@@ -0,0 +1,176 @@
+// ================================
+// PHOTO HASH UTILITY (Reused Photo Detection)
+// ================================
+// Spots the same photo (or a resized/lightly cropped copy) uploaded again
+
+const sharp = require('sharp');
+const Complaint = require('../models/Complaint');
+
+// Hash is split into 8 bands of 8 bits for the database lookup
+const BAND_COUNT = 8;
+
+// Photos this many bits apart (or fewer) count as the same photo.
+// Must stay below BAND_COUNT: two hashes at most 7 bits apart always
+// share at least one identical band, so the band lookup finds them.
+const MATCH_THRESHOLD = Math.min(parseInt(process.env.PHOTO_MATCH_THRESHOLD) || 7, BAND_COUNT - 1);
+
+// Safety limit on how many candidates one lookup compares
+const MAX_CANDIDATES = 5000;
+
+// Bits set in each hex digit (0-f)
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * COMPUTE PHOTO HASH (dHash)
+ * Shrinks the image to 9x8 grey pixels and records, for each pixel,
+ * whether its right neighbour is brighter. Resizing, recompressing or
+ * small crops barely change the result; a different scene changes it a lot.
+ * Returns { value: 16 hex chars, bands: ['0:a3', '1:f0', ...] },
+ * or null if the file could not be read as an image.
+ */
+const computePhotoHash = async (buffer) => {
+  try {
+    const pixels = await sharp(buffer)
+      .rotate()                                 // Respect EXIF orientation
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let value = '';
+    for (let row = 0; row < 8; row++) {
+      let byte = 0;
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        byte = (byte << 1) | (left < right ? 1 : 0);
+      }
+      value += byte.toString(16).padStart(2, '0');
+    }
+
+    const bands = [];
+    for (let i = 0; i < BAND_COUNT; i++) {
+      bands.push(`${i}:${value.slice(i * 2, i * 2 + 2)}`);
+    }
+
+    return { value, bands };
+  } catch (error) {
+    console.error('Photo hash error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * HAMMING DISTANCE
+ * Number of bits that differ between two hex hashes (0 = identical)
+ */
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+};
+
+// Hash values of a complaint's report photos (media[] or the older single photo)
+const hashValues = (holder) => {
+  if (!holder) return [];
+  const items = [holder.photo, ...(holder.media || [])];
+  return items.map(item => item && item.hash && item.hash.value).filter(Boolean);
+};
+
+/**
+ * FIND EARLIER COMPLAINTS WITH THE SAME PHOTO
+ * Searches every user's report photos, and with includeCleanup also
+ * cleanup proof photos. Returns the closest matches first:
+ * [{ complaint, kind: 'photo' | 'cleanup', distance }]
+ */
+const findPhotoMatches = async (hash, { includeCleanup = false, limit = 10 } = {}) => {
+  if (!hash) return [];
+
+  const or = [
+    { 'photo.hash.bands': { $in: hash.bands } },
+    { 'media.hash.bands': { $in: hash.bands } }
+  ];
+  if (includeCleanup) {
+    or.push(
+      { 'cleanupProof.photo.hash.bands': { $in: hash.bands } },
+      { 'cleanupProof.media.hash.bands': { $in: hash.bands } }
+    );
+  }
+
+  const candidates = await Complaint.find({ $or: or })
+    .select('photo.hash.value media.hash.value cleanupProof.photo.hash.value cleanupProof.media.hash.value')
+    .sort('-createdAt')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const matches = [];
+
+  // Closest of the candidate's photos of one kind, if close enough
+  const addMatch = (candidate, kind, values) => {
+    if (values.length === 0) return;
+    const distance = Math.min(...values.map(value => hammingDistance(hash.value, value)));
+    if (distance <= MATCH_THRESHOLD) matches.push({ complaint: candidate._id, kind, distance });
+  };
+
+  for (const candidate of candidates) {
+    addMatch(candidate, 'photo', hashValues(candidate));
+
+    if (includeCleanup) {
+      addMatch(candidate, 'cleanup', hashValues(candidate.cleanupProof));
+    }
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance).slice(0, limit);
+};
+
+/**
+ * FIND MATCHES FOR SEVERAL PHOTOS
+ * One submission with several photos: each earlier complaint is listed
+ * once per kind, with its closest distance
+ */
+const findMediaMatches = async (hashes, { includeCleanup = false, limit = 10 } = {}) => {
+  const closest = new Map();
+
+  for (const hash of hashes) {
+    for (const match of await findPhotoMatches(hash, { includeCleanup, limit })) {
+      const key = `${match.complaint}:${match.kind}`;
+      if (!closest.has(key) || closest.get(key).distance > match.distance) {
+        closest.set(key, match);
+      }
+    }
+  }
+
+  return [...closest.values()].sort((a, b) => a.distance - b.distance).slice(0, limit);
+};
+
+module.exports = {
+  computePhotoHash,
+  hammingDistance,
+  findPhotoMatches,
+  findMediaMatches,
+  MATCH_THRESHOLD
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * THE FRAUD:
+ * - Citizen uploads the same garbage photo at 10 different locations
+ * - Or crops it a little so the file is not byte-identical
+ *
+ * PERCEPTUAL HASH:
+ * - A 64-bit "fingerprint" of what the photo looks like
+ * - Same photo resized/cropped → fingerprints differ in only a few bits
+ * - Different photos → fingerprints differ in ~32 bits
+ *
+ * LOOKUP:
+ * - MongoDB cannot compare bits directly, so the fingerprint is stored
+ *   as 8 bands ('0:a3', '1:f0', ...) with an index
+ * - Candidates share at least one band; we then count differing bits
+ *
+ * RESULT:
+ * - Matches are stored on the complaint as photoMatches + fraudFlags
+ * - Reviewers see the flag and links to the earlier complaints
+ */
@@ -0,0 +1,185 @@
+// ================================
+// PHOTO METADATA UTILITY (EXIF)
+// ================================
+// Checks where/when a photo was taken, then removes that data before upload
+
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Photo GPS may be this far from the submitted location (meters)
+const MAX_DISTANCE_METERS = parseInt(process.env.EXIF_MAX_DISTANCE_METERS) || 250;
+
+// Photo may be this old when submitted (hours)
+const MAX_AGE_HOURS = parseInt(process.env.EXIF_MAX_AGE_HOURS) || 72;
+
+// Camera clocks store local time without a timezone; allow for any offset
+const UNKNOWN_TIMEZONE_SLACK_HOURS = 14;
+
+/**
+ * DISTANCE BETWEEN TWO POINTS (meters)
+ * Haversine formula; points are [longitude, latitude]
+ */
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * GPS [degrees, minutes, seconds] + 'N'/'S'/'E'/'W' → decimal degrees
+ */
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some(n => !Number.isFinite(n))) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ['S', 'W'].includes(ref) ? -degrees : degrees;
+};
+
+/**
+ * CAPTURE TIME
+ * Prefers the GPS timestamp (always UTC), then DateTimeOriginal with
+ * its OffsetTimeOriginal. Returns { capturedAt, exactTimezone } or null.
+ */
+const readCaptureTime = (exif) => {
+  const gps = exif.GPSInfo || {};
+
+  if (gps.GPSDateStamp && Array.isArray(gps.GPSTimeStamp)) {
+    const [year, month, day] = gps.GPSDateStamp.split(':').map(Number);
+    const [hours, minutes, seconds] = gps.GPSTimeStamp;
+    const capturedAt = new Date(Date.UTC(year, month - 1, day, hours, minutes, Math.floor(seconds)));
+    if (!isNaN(capturedAt)) return { capturedAt, exactTimezone: true };
+  }
+
+  // exif-reader reads the local camera time as if it were UTC
+  const local = (exif.Photo && exif.Photo.DateTimeOriginal) || (exif.Image && exif.Image.DateTime);
+  if (!(local instanceof Date) || isNaN(local)) return null;
+
+  const offset = exif.Photo && /^([+-])(\d{2}):(\d{2})$/.exec(exif.Photo.OffsetTimeOriginal || '');
+  if (offset) {
+    const minutes = (Number(offset[2]) * 60 + Number(offset[3])) * (offset[1] === '-' ? -1 : 1);
+    return { capturedAt: new Date(local.getTime() - minutes * 60 * 1000), exactTimezone: true };
+  }
+
+  return { capturedAt: local, exactTimezone: false };
+};
+
+/**
+ * READ PHOTO METADATA
+ * Returns { location: [lng, lat] | null, capturedAt, exactTimezone,
+ * cameraMake, cameraModel }, or null if the photo has no EXIF data.
+ */
+const readPhotoMetadata = async (buffer) => {
+  try {
+    const { exif: raw } = await sharp(buffer).metadata();
+    if (!raw) return null;
+
+    const exif = exifReader(raw);
+    const gps = exif.GPSInfo || {};
+
+    const lat = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const lng = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    const time = readCaptureTime(exif);
+
+    return {
+      location: lat !== null && lng !== null ? [lng, lat] : null,
+      capturedAt: time ? time.capturedAt : null,
+      exactTimezone: time ? time.exactTimezone : false,
+      cameraMake: exif.Image && exif.Image.Make,
+      cameraModel: exif.Image && exif.Image.Model
+    };
+  } catch (error) {
+    // Unreadable or corrupt EXIF counts as no metadata
+    return null;
+  }
+};
+
+/**
+ * VERIFY PHOTO METADATA AGAINST THE SUBMISSION
+ * verdict:
+ * - match: every available check (GPS distance, capture time) passed
+ * - mismatch: photo was taken elsewhere, long ago, or "in the future"
+ * - no_metadata: no GPS and no capture time to check
+ */
+const verifyPhotoMetadata = (metadata, { coordinates, submittedAt = new Date() }) => {
+  const result = {
+    verdict: 'no_metadata',
+    reasons: [],
+    checkedAt: new Date()
+  };
+
+  if (!metadata || (!metadata.location && !metadata.capturedAt)) {
+    return result;
+  }
+
+  result.cameraMake = metadata.cameraMake;
+  result.cameraModel = metadata.cameraModel;
+
+  if (metadata.location) {
+    result.location = metadata.location;
+    result.distanceMeters = Math.round(distanceMeters(metadata.location, coordinates));
+
+    if (result.distanceMeters > MAX_DISTANCE_METERS) {
+      result.reasons.push(`Photo taken ${result.distanceMeters} m from the reported location`);
+    }
+  }
+
+  if (metadata.capturedAt) {
+    const slack = metadata.exactTimezone ? 0 : UNKNOWN_TIMEZONE_SLACK_HOURS;
+    const ageHours = (submittedAt - metadata.capturedAt) / (60 * 60 * 1000);
+
+    result.capturedAt = metadata.capturedAt;
+    result.ageHours = Math.round(ageHours * 10) / 10;
+
+    if (ageHours > MAX_AGE_HOURS + slack) {
+      result.reasons.push(`Photo taken ${Math.round(ageHours)} hours before submission`);
+    } else if (ageHours < -(slack + 1)) {
+      result.reasons.push('Photo capture time is after the submission time');
+    }
+  }
+
+  result.verdict = result.reasons.length > 0 ? 'mismatch' : 'match';
+  return result;
+};
+
+/**
+ * STRIP PHOTO METADATA
+ * Re-encodes the image without EXIF (GPS, camera serial, time), turning
+ * it upright first so orientation is not lost. Returns null if the file
+ * is not a readable image.
+ */
+const stripPhotoMetadata = async (buffer) => {
+  try {
+    return await sharp(buffer).rotate().toBuffer();
+  } catch (error) {
+    console.error('Photo metadata strip error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  readPhotoMetadata,
+  verifyPhotoMetadata,
+  stripPhotoMetadata,
+  distanceMeters
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * EXIF:
+ * - Extra data cameras hide inside JPEG files
+ * - GPS position, date/time taken, camera make and model
+ *
+ * WHY CHECK IT?
+ * - The form sends latitude/longitude, which anyone can fake
+ * - A photo taken 20 km away or last year is suspicious
+ * - Reviewers see the verdict; it does not block the report
+ *   (many phones and apps remove EXIF, so "no_metadata" is normal)
+ *
+ * WHY STRIP IT?
+ * - Complaint photos are public
+ * - EXIF GPS could reveal where the reporter lives
+ * - So we only upload the cleaned copy
+ */
@@ -0,0 +1,400 @@
+// ================================
+// POINTS LEDGER UTILITIES
+// ================================
+// Every change to a user's reward points goes through here
+
+const User = require('../models/User');
+const PointsTransaction = require('../models/PointsTransaction');
+const httpError = require('./httpError');
+
+/**
+ * ENSURE OPENING BALANCE
+ * Users created before the ledger existed already have points.
+ * Their first ledger entry records that balance so the sums add up.
+ */
+const ensureOpeningBalance = async (userId, { session = null } = {}) => {
+  const hasEntries = await PointsTransaction.exists({ user: userId }).session(session);
+  if (hasEntries) return null;
+
+  const user = await User.findById(userId)
+    .select('rewardPoints totalPointsEarned')
+    .session(session);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  if (!user.rewardPoints && !user.totalPointsEarned) return null;
+
+  const [opening] = await PointsTransaction.create([{
+    user: userId,
+    type: 'adjustment',
+    points: user.rewardPoints,
+    lifetimeDelta: user.totalPointsEarned,
+    balanceAfter: user.rewardPoints,
+    description: 'Opening balance (before points ledger)',
+    idempotencyKey: `opening:${userId}`
+  }], { session });
+
+  return opening;
+};
+
+/**
+ * RECORD A TRANSACTION
+ * Writes the ledger entry, then updates the user's balance.
+ *
+ * - session: run inside a transaction (see utils/transaction.js)
+ * - idempotencyKey: if an entry with this key exists, nothing is
+ *   applied again and that entry is returned (safe retries)
+ * - userInc: other User counters to change in the same update
+ *
+ * The entry goes first because its unique idempotencyKey is what makes
+ * a retry safe: without transactions, a crash after it is written can
+ * never pay twice (at worst the balance is short, which reconcile shows).
+ */
+const recordTransaction = async ({
+  userId,
+  type,
+  points,
+  lifetimeDelta = 0,
+  description,
+  complaint,
+  redemption,
+  reversalOf,
+  createdBy,
+  allowNegative = false,
+  idempotencyKey,
+  userInc = {},
+  session = null
+}) => {
+  if (!Number.isFinite(points) || points === 0) {
+    throw httpError('Points must be a non-zero number');
+  }
+
+  const replay = async () => {
+    const existing = await PointsTransaction.findOne({ idempotencyKey }).session(session);
+    const user = await User.findById(existing.user).session(session);
+    return { transaction: existing, user, replayed: true };
+  };
+
+  if (idempotencyKey && await PointsTransaction.exists({ idempotencyKey }).session(session)) {
+    return replay();
+  }
+
+  await ensureOpeningBalance(userId, { session });
+
+  let transaction;
+
+  try {
+    [transaction] = await PointsTransaction.create([{
+      user: userId,
+      type,
+      points,
+      lifetimeDelta,
+      description,
+      complaint,
+      redemption,
+      reversalOf,
+      createdBy,
+      idempotencyKey
+    }], { session });
+  } catch (error) {
+    // Another request wrote this key a moment ago - it is already applied.
+    // (Inside a transaction the error aborts it; the retry finds the entry above.)
+    if (error.code === 11000 && idempotencyKey && !session) {
+      return replay();
+    }
+    throw error;
+  }
+
+  // Debits must not take the balance below zero
+  const filter = { _id: userId };
+  if (points < 0 && !allowNegative) {
+    filter.rewardPoints = { $gte: -points };
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { ...userInc, rewardPoints: points, totalPointsEarned: lifetimeDelta } },
+    { new: true, session }
+  );
+
+  if (!user) {
+    // Nothing was applied, so the entry must not stay
+    await PointsTransaction.deleteOne({ _id: transaction._id }, { session });
+    const exists = await User.exists({ _id: userId }).session(session);
+    throw exists ? httpError('Insufficient points') : httpError('User not found', 404);
+  }
+
+  transaction.balanceAfter = user.rewardPoints;
+  await PointsTransaction.updateOne(
+    { _id: transaction._id },
+    { $set: { balanceAfter: user.rewardPoints } },
+    { session }
+  );
+
+  return { transaction, user, replayed: false };
+};
+
+/**
+ * AWARD POINTS (complaint approved)
+ */
+const awardPoints = (userId, points, { complaint, createdBy, description, idempotencyKey, userInc, session } = {}) => {
+  return recordTransaction({
+    userId,
+    type: 'earn',
+    points,
+    lifetimeDelta: points,
+    description: description || 'Points earned for approved complaint',
+    complaint,
+    createdBy,
+    idempotencyKey,
+    userInc,
+    session
+  });
+};
+
+/**
+ * SPEND POINTS (reward redemption)
+ */
+const spendPoints = (userId, points, { redemption, createdBy, description, idempotencyKey, session } = {}) => {
+  return recordTransaction({
+    userId,
+    type: 'redeem',
+    points: -Math.abs(points),
+    description: description || 'Points redeemed for reward',
+    redemption,
+    createdBy,
+    idempotencyKey,
+    session
+  });
+};
+
+/**
+ * ADJUST POINTS (manual admin correction)
+ */
+const adjustPoints = (userId, points, { createdBy, description, session } = {}) => {
+  return recordTransaction({
+    userId,
+    type: 'adjustment',
+    points,
+    description,
+    createdBy,
+    session
+  });
+};
+
+/**
+ * REVERSE A TRANSACTION
+ * Writes the opposite entry; the original stays in the ledger
+ */
+const reverseTransaction = async (transactionId, { createdBy, description, session = null } = {}) => {
+  const original = await PointsTransaction.findById(transactionId).session(session);
+
+  if (!original) {
+    throw httpError('Transaction not found', 404);
+  }
+
+  if (original.type === 'reversal') {
+    throw httpError('A reversal cannot be reversed');
+  }
+
+  const alreadyReversed = await PointsTransaction.exists({ reversalOf: original._id }).session(session);
+  if (alreadyReversed) {
+    throw httpError('Transaction already reversed');
+  }
+
+  return recordTransaction({
+    userId: original.user,
+    type: 'reversal',
+    points: -original.points,
+    lifetimeDelta: -original.lifetimeDelta,
+    description: description || `Reversal of ${original.type} entry`,
+    complaint: original.complaint,
+    redemption: original.redemption,
+    reversalOf: original._id,
+    createdBy,
+    allowNegative: true,
+    idempotencyKey: `reversal:${original._id}`,
+    session
+  });
+};
+
+/**
+ * HOLD POINTS FOR A REDEMPTION (escrow)
+ * Takes the points off the balance when the request is made.
+ * Fails with 'Insufficient points' if the balance is too low.
+ */
+const holdRedemptionPoints = async (redeem, { session = null } = {}) => {
+  const { transaction } = await spendPoints(redeem.user, redeem.pointsRedeemed, {
+    redemption: redeem._id,
+    description: 'Points held for redemption request',
+    idempotencyKey: `redemption:${redeem._id}:hold`,
+    session
+  });
+
+  redeem.escrow = {
+    status: 'held',
+    holdTransaction: transaction._id,
+    heldAt: new Date()
+  };
+
+  return transaction;
+};
+
+/**
+ * RELEASE HELD POINTS (rejected or cancelled)
+ * Gives the held points back with a reversal entry
+ */
+const releaseRedemptionPoints = async (redeem, { createdBy, description, session = null } = {}) => {
+  // Requests made before escrow existed never took any points
+  if (!redeem.escrow || redeem.escrow.status !== 'held') return null;
+
+  // A retry after a crash may find the points already returned
+  let transaction = await PointsTransaction.findOne({ reversalOf: redeem.escrow.holdTransaction })
+    .session(session);
+
+  if (!transaction) {
+    ({ transaction } = await reverseTransaction(redeem.escrow.holdTransaction, {
+      createdBy,
+      description: description || 'Held points returned',
+      session
+    }));
+  }
+
+  redeem.escrow.status = 'released';
+  redeem.escrow.releaseTransaction = transaction._id;
+  redeem.escrow.settledAt = new Date();
+
+  return transaction;
+};
+
+/**
+ * CONSUME HELD POINTS (fulfilled)
+ * The points already left the balance; this only closes the escrow.
+ * Older requests without escrow are charged now instead.
+ */
+const consumeRedemptionPoints = async (redeem, { createdBy, session = null } = {}) => {
+  if (redeem.escrow && redeem.escrow.status === 'consumed') return null;
+
+  let transaction = null;
+
+  if (!redeem.escrow || redeem.escrow.status !== 'held') {
+    ({ transaction } = await spendPoints(redeem.user, redeem.pointsRedeemed, {
+      redemption: redeem._id,
+      createdBy,
+      idempotencyKey: `redemption:${redeem._id}:consume`,
+      session
+    }));
+    redeem.escrow = { holdTransaction: transaction._id, heldAt: new Date() };
+  }
+
+  redeem.escrow.status = 'consumed';
+  redeem.escrow.settledAt = new Date();
+
+  return transaction;
+};
+
+/**
+ * RECONCILE USER POINTS
+ * Compares the cached balance on User with the ledger totals (read-only).
+ * With apply=true a missing opening balance is written first, then the
+ * User fields are overwritten from the ledger (409 if the balance
+ * changes in the meantime).
+ */
+const reconcileUserPoints = async (userId, { apply = false } = {}) => {
+  const opening = apply ? await ensureOpeningBalance(userId) : null;
+
+  const user = await User.findById(userId).select('rewardPoints totalPointsEarned');
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  const totals = await PointsTransaction.getTotals(userId);
+
+  const result = {
+    user: user._id,
+    stored: {
+      rewardPoints: user.rewardPoints,
+      totalPointsEarned: user.totalPointsEarned
+    },
+    ledger: {
+      rewardPoints: totals.balance,
+      totalPointsEarned: totals.lifetimeEarned,
+      entries: totals.count
+    },
+    inSync: user.rewardPoints === totals.balance &&
+            user.totalPointsEarned === totals.lifetimeEarned,
+    // Balance from before the ledger, not recorded yet (apply records it)
+    openingBalanceMissing: totals.count === 0 && Boolean(user.rewardPoints || user.totalPointsEarned),
+    openingBalanceRecorded: Boolean(opening),
+    fixed: false
+  };
+
+  if (apply && !result.inSync) {
+    // An entry without balanceAfter from the last minute is a change still
+    // being applied: the ledger already counts it, the balance soon will
+    const pending = await PointsTransaction.exists({
+      user: user._id,
+      balanceAfter: null,
+      createdAt: { $gte: new Date(Date.now() - 60 * 1000) }
+    });
+
+    // Only overwrite the balance that was compared, so a change
+    // landing meanwhile is not lost
+    const updated = !pending && await User.updateOne(
+      { _id: user._id, rewardPoints: user.rewardPoints, totalPointsEarned: user.totalPointsEarned },
+      { $set: { rewardPoints: totals.balance, totalPointsEarned: totals.lifetimeEarned } }
+    );
+
+    if (!updated || updated.modifiedCount !== 1) {
+      throw httpError('Points changed while reconciling, please try again', 409);
+    }
+
+    result.fixed = true;
+  }
+
+  return result;
+};
+
+module.exports = {
+  recordTransaction,
+  awardPoints,
+  spendPoints,
+  adjustPoints,
+  reverseTransaction,
+  holdRedemptionPoints,
+  releaseRedemptionPoints,
+  consumeRedemptionPoints,
+  reconcileUserPoints,
+  ensureOpeningBalance
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY NOT JUST user.rewardPoints += 10?
+ * - Then nobody knows WHY the balance is what it is
+ * - With a ledger, every change has a row with a reason
+ *
+ * TWO PLACES, ONE TRUTH:
+ * - User.rewardPoints is a cached total (fast to read)
+ * - PointsTransaction rows are the source of truth
+ * - reconcileUserPoints checks both agree (and can fix User)
+ *
+ * NO NEGATIVE BALANCES:
+ * - Debits use findOneAndUpdate with rewardPoints >= amount
+ * - If the balance is too low, MongoDB updates nothing → 'Insufficient points'
+ *
+ * REDEMPTION ESCROW:
+ * - Request made → points held (ledger: redeem -100)
+ * - Rejected/cancelled → points released (ledger: reversal +100)
+ * - Fulfilled → escrow consumed (no new ledger row needed)
+ *
+ * SAFE RETRIES (idempotencyKey):
+ * - 'complaint:<id>:earn' can only be written once
+ * - Sending the same approval again returns the first entry
+ *
+ * USAGE:
+ * await awardPoints(userId, 15, { complaint: complaint._id, createdBy: admin._id });
+ * await spendPoints(userId, 100, { redemption: redeem._id });
+ */
@@ -0,0 +1,126 @@
+// ================================
+// RATE LIMITING
+// ================================
+// Sliding-window request counting on the configured store:
+//   hit, hitDaily, storeName
+
+const { RATE_LIMIT_STORE } = require('../../config/rateLimit');
+
+const stores = {
+  memory: require('./memoryStore'),
+  mongo: require('./mongoStore')
+};
+
+/**
+ * PICK A STORE (the configured one by default)
+ */
+const getStore = (name = RATE_LIMIT_STORE) => {
+  const store = stores[name];
+
+  if (!store) {
+    throw new Error(`Unknown rate limit store "${name}" (use ${Object.keys(stores).join(' or ')})`);
+  }
+
+  return store;
+};
+
+/**
+ * WAIT UNTIL THE NEXT REQUEST FITS (milliseconds)
+ * The previous window's count fades out as the current window goes on,
+ * so find the moment previous × (1 - elapsed/window) + current + 1 ≤ max.
+ */
+const waitMs = ({ max, previous, current, elapsed, windowMs }) => {
+  const room = max - 1 - current;
+
+  // Room left in this window once enough of the previous one has faded
+  if (room >= 0) {
+    const fadedAt = previous > 0 ? windowMs * (1 - room / previous) : 0;
+    return Math.max(fadedAt - elapsed, 0);
+  }
+
+  // This window is full: wait for it to end and then fade enough itself
+  const fadedAt = windowMs * (1 - (max - 1) / current);
+  return windowMs - elapsed + Math.max(fadedAt, 0);
+};
+
+/**
+ * HIT: Count one request for key and check it against { max, windowSeconds }
+ * Returns { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+ *
+ * Sliding window: the count is this window's requests plus the previous
+ * window's, weighted by how much of it still overlaps the last windowSeconds.
+ * Blocked requests are counted too, so hammering keeps a client blocked.
+ */
+const hit = async (key, { max, windowSeconds }, now = Date.now()) => {
+  const store = getStore();
+  const windowMs = windowSeconds * 1000;
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+
+  const [current, previous] = await Promise.all([
+    store.increment(`${key}:${window}`, windowMs * 2),
+    store.get(`${key}:${window - 1}`)
+  ]);
+
+  const count = previous * (1 - elapsed / windowMs) + current;
+  const allowed = count <= max;
+  const retryAfterSeconds = allowed
+    ? 0
+    : Math.ceil(waitMs({ max, previous, current, elapsed, windowMs }) / 1000);
+
+  return {
+    allowed,
+    limit: max,
+    remaining: Math.max(Math.floor(max - count), 0),
+    resetSeconds: allowed ? Math.ceil((windowMs - elapsed) / 1000) : retryAfterSeconds,
+    retryAfterSeconds
+  };
+};
+
+/**
+ * HIT DAILY: Count one request for key in today's calendar day (server time)
+ * Returns { allowed, limit, count, retryAfterSeconds }
+ *
+ * Not sliding: every request since midnight counts, and the count
+ * starts over at the next midnight.
+ */
+const hitDaily = async (key, { max }, now = new Date()) => {
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const midnight = new Date(startOfDay);
+  midnight.setDate(midnight.getDate() + 1);
+
+  const untilMidnightMs = midnight - now;
+  const count = await getStore().increment(`${key}:${startOfDay.getTime()}`, untilMidnightMs);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    count,
+    retryAfterSeconds: count <= max ? 0 : Math.ceil(untilMidnightMs / 1000)
+  };
+};
+
+module.exports = {
+  hit,
+  hitDaily,
+  storeName: getStore().name
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * SLIDING WINDOW (limit 10 per hour):
+ * - Requests are counted per hour-long window
+ * - 20 minutes into this hour, the last hour = 40 minutes of the previous
+ *   window + 20 minutes of this one, so count = previous × 2/3 + current
+ * - No "reset at the top of the hour" burst like plain fixed windows
+ *
+ * STORES (RATE_LIMIT_STORE in .env):
+ * - memory: fast, but each server counts on its own
+ * - mongo: shared counters, so limits hold across several servers
+ * ADDING ONE (e.g. Redis): create xStore.js exporting
+ * { name, increment(key, ttlMs) → count, get(key) → count }
+ * and add it to the list above
+ */
@@ -0,0 +1,52 @@
+// ================================
+// MEMORY RATE LIMIT STORE
+// ================================
+// Counters in this Node process (default - fine for a single server)
+
+const counters = new Map();
+
+// Expired counters are cleared out at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let lastSweep = 0;
+
+const sweep = (now) => {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+
+  for (const [key, counter] of counters) {
+    if (counter.expiresAt <= now) counters.delete(key);
+  }
+};
+
+/**
+ * INCREMENT: Add one to a counter (created with a lifetime of ttlMs)
+ * Returns the new count
+ */
+const increment = async (key, ttlMs) => {
+  const now = Date.now();
+  sweep(now);
+
+  let counter = counters.get(key);
+
+  if (!counter || counter.expiresAt <= now) {
+    counter = { count: 0, expiresAt: now + ttlMs };
+    counters.set(key, counter);
+  }
+
+  counter.count += 1;
+  return counter.count;
+};
+
+/**
+ * GET: Current count (0 if none)
+ */
+const get = async (key) => {
+  const counter = counters.get(key);
+  return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get
+};
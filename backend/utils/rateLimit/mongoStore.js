@@ -0,0 +1,42 @@
+// ================================
+// MONGO RATE LIMIT STORE
+// ================================
+// Counters in MongoDB - shared by every server behind a load balancer
+
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+/**
+ * INCREMENT: Add one to a counter (created with a lifetime of ttlMs)
+ * Returns the new count
+ */
+const increment = async (key, ttlMs) => {
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) }
+  };
+
+  try {
+    const counter = await RateLimitCounter.findOneAndUpdate({ _id: key }, update, { upsert: true, new: true });
+    return counter.count;
+  } catch (error) {
+    // Two servers created the counter at the same moment - it exists now
+    if (error.code !== 11000) throw error;
+
+    const counter = await RateLimitCounter.findOneAndUpdate({ _id: key }, update, { new: true });
+    return counter.count;
+  }
+};
+
+/**
+ * GET: Current count (0 if none)
+ */
+const get = async (key) => {
+  const counter = await RateLimitCounter.findById(key).lean();
+  return counter && counter.expiresAt > new Date() ? counter.count : 0;
+};
+
+module.exports = {
+  name: 'mongo',
+  increment,
+  get
+};
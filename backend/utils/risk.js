@@ -0,0 +1,162 @@
+// ================================
+// REPORT RISK UTILITY
+// ================================
+// Movement analysis per user: impossible travel, typed-in locations, bursts
+
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const Redeem = require('../models/Redeem');
+const { distanceMeters } = require('./photoMetadata');
+const {
+  SIGNAL_WEIGHTS,
+  MAX_TRAVEL_SPEED_KMH,
+  MIN_TRAVEL_METERS,
+  ROUND_COORDINATE_DECIMALS,
+  PATTERN_WINDOW_REPORTS,
+  PATTERN_MIN_ROUND,
+  BURST_WINDOW_MINUTES,
+  BURST_MIN_REPORTS,
+  THRESHOLD_MARGIN_POINTS,
+  RECENT_REDEMPTION_HOURS,
+  HOLD_SCORE,
+  USER_SCORE_DECAY
+} = require('../config/risk');
+
+/**
+ * IS THIS LOCATION TYPED IN?
+ * Phone GPS gives 6+ decimals; people typing give 2-3
+ */
+const isRoundCoordinate = ([lng, lat]) => {
+  const decimals = value => (String(value).split('.')[1] || '').length;
+  return decimals(lng) <= ROUND_COORDINATE_DECIMALS && decimals(lat) <= ROUND_COORDINATE_DECIMALS;
+};
+
+/**
+ * ASSESS A NEW REPORT
+ * Compares it with the user's earlier reports and redemptions.
+ * Returns { score: 0-100, signals: [{ code, detail, weight }], assessedAt }
+ */
+const assessReportRisk = async (user, coordinates, now = new Date()) => {
+  const signals = [];
+  const add = (code, detail) => signals.push({ code, detail, weight: SIGNAL_WEIGHTS[code] });
+
+  const recent = await Complaint.find({ user: user._id })
+    .select('location createdAt')
+    .sort('-createdAt')
+    .limit(PATTERN_WINDOW_REPORTS - 1)
+    .lean();
+
+  // 1. Implied travel speed since the previous report
+  const previous = recent[0];
+  if (previous) {
+    const meters = distanceMeters(previous.location.coordinates, coordinates);
+    const hours = Math.max((now - previous.createdAt) / (60 * 60 * 1000), 1 / 3600);
+    const speed = (meters / 1000) / hours;
+
+    if (meters >= MIN_TRAVEL_METERS && speed > MAX_TRAVEL_SPEED_KMH) {
+      add('impossible_travel',
+        `${(meters / 1000).toFixed(1)} km in ${Math.round(hours * 60)} min (${Math.round(speed)} km/h)`);
+    }
+  }
+
+  // 2. Typed-in coordinates, now and across recent reports
+  const round = isRoundCoordinate(coordinates);
+  if (round) {
+    add('round_coordinates', `Location ${coordinates[1]}, ${coordinates[0]} has few decimals`);
+  }
+
+  const roundCount = recent.filter(c => isRoundCoordinate(c.location.coordinates)).length + (round ? 1 : 0);
+  if (roundCount >= PATTERN_MIN_ROUND) {
+    add('round_coordinates_pattern', `${roundCount} of the last ${recent.length + 1} reports have typed-in locations`);
+  }
+
+  // 3. Bursts, especially around redemptions
+  const burstStart = new Date(now.getTime() - BURST_WINDOW_MINUTES * 60 * 1000);
+  const inBurst = recent.filter(c => c.createdAt >= burstStart).length;
+
+  if (inBurst >= BURST_MIN_REPORTS) {
+    add('report_burst', `${inBurst + 1} reports within ${BURST_WINDOW_MINUTES} minutes`);
+
+    const minimum = Redeem.getMinimumPoints();
+    const nearThreshold = user.rewardPoints < minimum && user.rewardPoints >= minimum - THRESHOLD_MARGIN_POINTS;
+    const recentRedemption = await Redeem.exists({
+      user: user._id,
+      createdAt: { $gte: new Date(now.getTime() - RECENT_REDEMPTION_HOURS * 60 * 60 * 1000) }
+    });
+
+    if (nearThreshold || recentRedemption) {
+      add('redemption_burst', nearThreshold
+        ? `Balance ${user.rewardPoints} is just below the ${minimum} point redemption minimum`
+        : `Redemption requested in the last ${RECENT_REDEMPTION_HOURS} hours`);
+    }
+  }
+
+  const score = Math.min(100, signals.reduce((sum, s) => sum + s.weight, 0));
+  return { score, signals, assessedAt: now };
+};
+
+/**
+ * UPDATE THE USER'S RISK SCORE
+ * Jumps up with a risky report, then fades with each normal one
+ */
+const updateUserRisk = async (userId, assessment) => {
+  const user = await User.findById(userId).select('risk');
+  if (!user) return null;
+
+  const previous = user.risk.score || 0;
+  const update = {
+    $set: {
+      'risk.score': Math.max(assessment.score, Math.round(previous * USER_SCORE_DECAY)),
+      'risk.lastAssessedAt': assessment.assessedAt
+    }
+  };
+
+  if (assessment.score >= HOLD_SCORE) {
+    update.$inc = { 'risk.highRiskReports': 1 };
+  }
+
+  await User.updateOne({ _id: userId }, update);
+  return update.$set['risk.score'];
+};
+
+/**
+ * SHOULD POINTS FOR THIS COMPLAINT WAIT FOR MANUAL REVIEW?
+ * Returns the reason, or null to pay as usual
+ */
+const getPointsHoldReason = async (complaint, { session = null } = {}) => {
+  if (complaint.risk && complaint.risk.score >= HOLD_SCORE) {
+    return `Report risk score ${complaint.risk.score}`;
+  }
+
+  const reporter = await User.findById(complaint.user).select('risk').session(session);
+  if (reporter && reporter.risk.score >= HOLD_SCORE) {
+    return `Reporter risk score ${reporter.risk.score}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  assessReportRisk,
+  updateUserRisk,
+  getPointsHoldReason,
+  isRoundCoordinate
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHAT WE LOOK FOR:
+ * - Report in Delhi at 10:00, then 30 km away at 10:10 → 180 km/h → impossible
+ * - Locations like 28.61, 77.2 → typed in, not from the phone's GPS
+ * - 5 reports in an hour, right when the user is 10 points short of a voucher
+ *
+ * SCORE:
+ * - Each signal adds its weight (config/risk.js), max 100
+ * - Complaint keeps its own score; the user keeps a fading score
+ *
+ * WHAT HAPPENS:
+ * - Score ≥ 40 → complaint flagged "high_risk" for reviewers
+ * - Score ≥ 60 → on approval, points are held until someone
+ *   releases them (PUT /api/admin/complaints/:id/points/release)
+ */
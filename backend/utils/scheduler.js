@@ -0,0 +1,66 @@
+// ================================
+// IN-PROCESS JOB SCHEDULER
+// ================================
+// Runs background jobs (SLA checks, ...) every few minutes
+
+// Running jobs by name
+const jobs = new Map();
+
+/**
+ * SCHEDULE A JOB
+ * Runs fn every intervalMs. A run that is still busy when the
+ * next one is due is skipped, so slow runs never pile up.
+ */
+const scheduleJob = (name, intervalMs, fn) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const job = { running: false, timer: null };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`❌ Scheduled job "${name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+
+  // Don't keep the process alive just for this timer
+  job.timer.unref();
+
+  jobs.set(name, job);
+  return run;
+};
+
+/**
+ * STOP ALL JOBS (used on shutdown)
+ */
+const stopAllJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+module.exports = { scheduleJob, stopAllJobs };
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY NOT CRON?
+ * - No extra service to install or pay for
+ * - The API server checks every few minutes by itself
+ *
+ * MULTIPLE SERVERS:
+ * - Every server runs the job
+ * - Jobs must therefore "claim" their work with a conditional update,
+ *   so two servers never process the same document (see utils/sla.js)
+ */
@@ -0,0 +1,162 @@
+// ================================
+// SESSION UTILITY
+// ================================
+// Logs devices in and out: access + refresh tokens, rotation and revocation
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const httpError = require('./httpError');
+const { generateToken } = require('../middleware/auth');
+const { ACCESS_TOKEN_MINUTES, REFRESH_TOKEN_DAYS } = require('../config/auth');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Device details for the session list
+const deviceDetails = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+/**
+ * TOKENS FOR A SESSION
+ * Shape of every login / refresh answer
+ */
+const tokenResponse = (user, session, refreshToken) => ({
+  token: generateToken(user._id, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_MINUTES * 60            // Seconds until the access token expires
+});
+
+/**
+ * START A SESSION (login / register)
+ * Returns { token, refreshToken, expiresIn }
+ */
+const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...deviceDetails(req)
+  });
+
+  return tokenResponse(user, session, refreshToken);
+};
+
+/**
+ * REFRESH: Swap a refresh token for new tokens (the old one stops working)
+ * A retired token coming back ends the session (it was probably copied)
+ */
+const refreshSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw httpError('Refresh token required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const newToken = newRefreshToken();
+
+  // Atomic swap, so two refreshes with the same token cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...deviceDetails(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+
+    if (reused) {
+      console.warn(`⚠️  Refresh token reused for session ${reused._id} (user ${reused.user}) - session ended`);
+    }
+
+    throw httpError('Session expired, please log in again', 401);
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'deactivated');
+    throw httpError('Account is deactivated', 403);
+  }
+
+  return { user, ...tokenResponse(user, session, newToken) };
+};
+
+/**
+ * END ONE SESSION
+ */
+const revokeSession = (sessionId, reason = 'logout', { user } = {}) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null, ...(user && { user }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+/**
+ * END ALL SESSIONS OF A USER (optionally keeping one, e.g. the current device)
+ * Returns how many were ended
+ */
+const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * ACTIVE SESSIONS OF A USER (newest activity first)
+ */
+const listSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort('-lastUsedAt');
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * LOGIN:
+ * - startSession() saves a Session (one per device) and returns
+ *   { token (15 min), refreshToken (30 days), expiresIn }
+ *
+ * EVERY REQUEST:
+ * - Authorization: Bearer <token>; protect checks the token AND that its
+ *   session is still active, so logging out works immediately
+ *
+ * TOKEN EXPIRED (401):
+ * - App calls POST /api/auth/refresh { refreshToken } → new pair
+ *
+ * LOG OUT:
+ * - This device: revokeSession; everywhere: revokeUserSessions
+ * - Also done automatically on password change/reset and deactivation
+ */
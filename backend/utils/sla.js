@@ -0,0 +1,219 @@
+// ================================
+// SLA UTILITIES
+// ================================
+// Finds late complaints, escalates them and reports compliance
+
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { getSlaTargets, nextPriority, MAX_ESCALATION_LEVEL } = require('../config/sla');
+const { notifyMany } = require('./notifications');
+
+// Complaints still waiting for review or cleanup
+const REVIEW_STATUSES = ['pending', 'reopened'];
+const CLEANUP_STATUSES = ['approved', 'in_progress'];
+
+/**
+ * FIND WARD OFFICERS
+ * Officers of the complaint's ward, or city-wide officers if it has none
+ */
+const findWardOfficers = (wardId) => {
+  return User.find({
+    role: 'ward_officer',
+    isActive: true,
+    ward: wardId || { $exists: false }
+  }).select('name email');
+};
+
+/**
+ * NOTIFY OFFICERS ABOUT AN ESCALATION
+ * In-app notification for each officer, plus a line in the server log
+ */
+const notifyEscalation = async (complaint, escalation, officers) => {
+  await notifyMany(officers.map(o => o._id), 'sla_escalation', { complaint, ...escalation });
+
+  console.log(
+    `🚨 SLA escalation L${escalation.level}: complaint ${complaint._id} ` +
+    `(${escalation.stage} overdue, ${escalation.fromPriority} → ${escalation.toPriority}) ` +
+    `→ ${officers.map(o => o.email).join(', ') || 'no ward officer found'}`
+  );
+};
+
+/**
+ * ESCALATE ONE COMPLAINT
+ * Bumps priority, records the escalation and schedules the next check.
+ * The update only applies if nobody else escalated or moved the
+ * complaint in the meantime (safe with several servers running).
+ */
+const escalateComplaint = async (complaint, now = new Date()) => {
+  const stage = REVIEW_STATUSES.includes(complaint.status) ? 'review' : 'cleanup';
+  const level = (complaint.sla.escalationLevel || 0) + 1;
+  const fromPriority = complaint.priority;
+  const toPriority = nextPriority(fromPriority);
+
+  const dueAt = complaint.sla[`${stage}DueAt`];
+  const officers = await findWardOfficers(complaint.ward);
+
+  const escalation = {
+    at: now,
+    level,
+    stage,
+    reason: `${stage === 'review' ? 'Review' : 'Cleanup'} deadline ${dueAt ? dueAt.toISOString() : ''} missed`.trim(),
+    fromPriority,
+    toPriority,
+    notified: officers.map(o => o._id)
+  };
+
+  const update = {
+    $set: {
+      priority: toPriority,
+      'sla.escalationLevel': level,
+      [`sla.${stage}BreachedAt`]: complaint.sla[`${stage}BreachedAt`] || now
+    },
+    $push: { escalations: escalation }
+  };
+
+  // Check again after the (shorter) target of the new priority
+  if (level < MAX_ESCALATION_LEVEL) {
+    const hours = getSlaTargets(complaint.category, toPriority)[`${stage}Hours`];
+    update.$set['sla.nextEscalationAt'] = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  } else {
+    update.$unset = { 'sla.nextEscalationAt': '' };
+  }
+
+  const result = await Complaint.updateOne({
+    _id: complaint._id,
+    status: complaint.status,
+    'sla.nextEscalationAt': complaint.sla.nextEscalationAt
+  }, update);
+
+  // Someone else got there first
+  if (result.modifiedCount === 0) return null;
+
+  await notifyEscalation(complaint, escalation, officers);
+  return escalation;
+};
+
+/**
+ * ESCALATE ALL OVERDUE COMPLAINTS
+ * Called by the scheduler every few minutes
+ */
+const escalateOverdueComplaints = async (now = new Date(), batchSize = 100) => {
+  const overdue = await Complaint.find({
+    status: { $in: [...REVIEW_STATUSES, ...CLEANUP_STATUSES] },
+    'sla.nextEscalationAt': { $lte: now }
+  })
+    .sort('sla.nextEscalationAt')
+    .limit(batchSize);
+
+  let escalated = 0;
+  for (const complaint of overdue) {
+    try {
+      if (await escalateComplaint(complaint, now)) escalated += 1;
+    } catch (error) {
+      console.error(`SLA escalation error (complaint ${complaint._id}):`, error.message);
+    }
+  }
+
+  return { checked: overdue.length, escalated };
+};
+
+/**
+ * SLA COMPLIANCE REPORT
+ * Counts per stage: met, breached, open (on track) and open (overdue).
+ * Complaints created before SLAs existed are left out.
+ */
+const getSlaCompliance = async (scope = {}, now = new Date()) => {
+  const stateOf = (openStatuses, doneCondition, dueField, doneAtField) => ({
+    $switch: {
+      branches: [
+        { case: { $not: [dueField] }, then: 'none' },
+        {
+          case: { $in: ['$status', openStatuses] },
+          then: { $cond: [{ $lt: [dueField, now] }, 'openBreached', 'openOnTrack'] }
+        },
+        {
+          case: doneCondition,
+          then: { $cond: [{ $lte: [doneAtField, dueField] }, 'met', 'breached'] }
+        }
+      ],
+      default: 'none'
+    }
+  });
+
+  const [result] = await Complaint.aggregate([
+    { $match: { ...scope, 'sla.reviewDueAt': { $exists: true } } },
+    {
+      $project: {
+        priority: 1,
+        review: stateOf(
+          REVIEW_STATUSES,
+          { $ne: ['$reviewedAt', null] },
+          '$sla.reviewDueAt',
+          '$reviewedAt'
+        ),
+        cleanup: stateOf(
+          CLEANUP_STATUSES,
+          { $eq: ['$status', 'cleaned'] },
+          '$sla.cleanupDueAt',
+          '$cleanupProof.uploadedAt'
+        )
+      }
+    },
+    {
+      $facet: {
+        review: [{ $group: { _id: '$review', count: { $sum: 1 } } }],
+        cleanup: [{ $group: { _id: '$cleanup', count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: { priority: '$priority', state: '$cleanup' }, count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  // [{ _id: 'met', count: 4 }, ...] → { met: 4, breached: 0, ..., complianceRate }
+  const summarize = (groups) => {
+    const counts = { met: 0, breached: 0, openOnTrack: 0, openBreached: 0 };
+    for (const { _id, count } of groups) {
+      if (_id in counts) counts[_id] += count;
+    }
+    const judged = counts.met + counts.breached + counts.openBreached;
+    counts.complianceRate = judged ? Math.round((counts.met / judged) * 100) : null;
+    return counts;
+  };
+
+  const byPriority = {};
+  for (const priority of ['urgent', 'high', 'medium', 'low']) {
+    byPriority[priority] = summarize(
+      result.byPriority
+        .filter(g => g._id.priority === priority)
+        .map(g => ({ _id: g._id.state, count: g.count }))
+    );
+  }
+
+  return {
+    review: summarize(result.review),
+    cleanup: summarize(result.cleanup),
+    cleanupByPriority: byPriority
+  };
+};
+
+module.exports = {
+  escalateComplaint,
+  escalateOverdueComplaints,
+  getSlaCompliance,
+  findWardOfficers
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * EVERY 15 MINUTES (see server.js):
+ * 1. Find open complaints whose sla.nextEscalationAt has passed
+ * 2. Bump priority (medium → high), add an escalations entry
+ * 3. Tell the ward officers (in-app notification)
+ * 4. Set the next check using the new priority's target
+ *
+ * COMPLIANCE:
+ * - met: finished before the deadline
+ * - breached: finished after the deadline
+ * - openOnTrack / openBreached: not finished yet
+ * - complianceRate = met / (met + breached + openBreached)
+ */
@@ -0,0 +1,55 @@
+// ================================
+// SMS
+// ================================
+// Sends text messages through the configured provider:
+//   sendSms
+
+const { SMS_PROVIDER, SMS_FROM } = require('../../config/sms');
+
+const providers = {
+  twilio: require('./providers/twilioProvider'),
+  file: require('./providers/fileProvider'),
+  console: require('./providers/consoleProvider')
+};
+
+/**
+ * PICK A PROVIDER (the configured one by default)
+ */
+const getProvider = (name = SMS_PROVIDER) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}" (use ${Object.keys(providers).join(', ')})`);
+  }
+
+  return provider;
+};
+
+/**
+ * SEND A TEXT MESSAGE
+ * to: number in international format (+919876543210)
+ * Sent right away (login codes can't wait for a queue); throws if the provider fails
+ * Returns { messageId, provider }
+ */
+const sendSms = async (to, text) => {
+  const provider = getProvider();
+  const { messageId } = await provider.send({ from: SMS_FROM, to, text });
+  return { messageId, provider: provider.name };
+};
+
+module.exports = {
+  sendSms,
+  providerName: getProvider().name
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * PROVIDERS (SMS_PROVIDER in .env):
+ * - twilio: real text messages (costs money per message)
+ * - file: .txt files in the sms-outbox folder - read the code from there (development only)
+ * - console: printed in the server log, codes hidden (development only)
+ * ADDING ONE (e.g. MSG91, AWS SNS): create providers/xProvider.js
+ * exporting { name, send({ from, to, text }) → { messageId } }
+ * and add it to the list above
+ */
@@ -0,0 +1,24 @@
+// ================================
+// CONSOLE SMS PROVIDER
+// ================================
+// Prints text messages in the server log (default when no SMS provider is configured).
+// Numbers in the text are masked, so login codes never end up in logs.
+
+const crypto = require('crypto');
+
+/**
+ * SEND: { from, to, text } → { messageId }
+ */
+const send = async ({ to, text }) => {
+  const messageId = `console-${crypto.randomUUID()}`;
+
+  const masked = text.replace(/\d{4,}/g, digits => '•'.repeat(digits.length));
+  console.log(`📱 SMS to ${to}: ${masked} (codes hidden - use SMS_PROVIDER=file to read them)`);
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,29 @@
+// ================================
+// FILE SMS PROVIDER
+// ================================
+// Writes each text message to a .txt file instead of sending it (development and tests)
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { SMS_FILE_DIR } = require('../../../config/sms');
+
+/**
+ * SEND: { from, to, text } → { messageId }
+ */
+const send = async ({ from, to, text }) => {
+  const messageId = `file-${crypto.randomUUID()}`;
+
+  // <time>-<number>.txt sorts by time, and the latest code for a number is easy to find
+  const file = path.join(SMS_FILE_DIR, `${Date.now()}-${to.replace(/[^\d]/g, '')}.txt`);
+
+  await fs.mkdir(SMS_FILE_DIR, { recursive: true });
+  await fs.writeFile(file, `From: ${from}\nTo: ${to}\nMessage-Id: ${messageId}\n\n${text}\n`);
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,41 @@
+// ================================
+// TWILIO SMS PROVIDER
+// ================================
+// Sends real text messages through the Twilio REST API
+
+const { TWILIO, SMS_TIMEOUT_MS } = require('../../../config/sms');
+
+/**
+ * SEND: { from, to, text } → { messageId }
+ */
+const send = async ({ from, to, text }) => {
+  if (!TWILIO.accountSid || !TWILIO.authToken) {
+    throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are not set');
+  }
+
+  const response = await fetch(
+    `https://api.twilio.com/2010-04-01/Accounts/${TWILIO.accountSid}/Messages.json`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${TWILIO.accountSid}:${TWILIO.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ From: from, To: to, Body: text }),
+      signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+    }
+  );
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Twilio answered ${response.status}: ${result.message || 'unknown error'}`);
+  }
+
+  return { messageId: result.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -0,0 +1,72 @@
+// ================================
+// CLOUDINARY STORAGE DRIVER
+// ================================
+// Stores media on Cloudinary's CDN
+
+const cloudinary = require('cloudinary').v2;
+const streamifier = require('streamifier');
+
+/**
+ * Configure Cloudinary with credentials from .env
+ */
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Cloudinary keeps images and videos apart ("resource types")
+const resourceType = (type) => (type === 'video' ? 'video' : 'image');
+
+/**
+ * PUT: Upload a buffer, returns { key, url }
+ * key = Cloudinary public_id
+ */
+const put = (buffer, { folder = 'complaints', contentType } = {}) => {
+  const isVideo = Boolean(contentType && contentType.startsWith('video/'));
+
+  return new Promise((resolve, reject) => {
+    // Create upload stream
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `clean-city/${folder}`,  // Organize in folders
+        resource_type: isVideo ? 'video' : 'image',
+        transformation: isVideo ? undefined : [
+          { width: 1000, crop: 'limit' },  // Max width 1000px
+          { quality: 'auto' }               // Auto optimize quality
+        ]
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ key: result.public_id, url: result.secure_url });
+        }
+      }
+    );
+
+    // Convert buffer to stream and pipe to Cloudinary
+    streamifier.createReadStream(buffer).pipe(uploadStream);
+  });
+};
+
+/**
+ * DELETE: Remove an upload by its key
+ */
+const remove = async (key, { type } = {}) => {
+  await cloudinary.uploader.destroy(key, { resource_type: resourceType(type) });
+};
+
+/**
+ * GET URL: Public HTTPS URL of an upload
+ */
+const getUrl = (key, { type } = {}) => {
+  return cloudinary.url(key, { secure: true, resource_type: resourceType(type) });
+};
+
+module.exports = {
+  name: 'cloudinary',
+  put,
+  delete: remove,
+  getUrl
+};
@@ -0,0 +1,108 @@
+// ================================
+// MEDIA STORAGE
+// ================================
+// One interface for storing photos, whichever backend is configured:
+//   put, delete, getUrl, putMany
+
+const { STORAGE_DRIVER } = require('../../config/storage');
+
+const drivers = {
+  cloudinary: require('./cloudinaryDriver'),
+  local: require('./localDriver')
+};
+
+// Uploads saved before storage drivers existed all live on Cloudinary
+const LEGACY_DRIVER = 'cloudinary';
+
+/**
+ * PICK A DRIVER (the configured one by default)
+ */
+const getDriver = (name = STORAGE_DRIVER) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}" (use ${Object.keys(drivers).join(' or ')})`);
+  }
+
+  return driver;
+};
+
+// 'video' for video/* content types, otherwise 'image'
+const mediaType = (contentType) => (contentType && contentType.startsWith('video/') ? 'video' : 'image');
+
+/**
+ * PUT: Store a file
+ * Returns { key, url, driver } - save all three on the document,
+ * the driver name is needed to delete the file later.
+ */
+const put = async (buffer, { folder, contentType } = {}) => {
+  const driver = getDriver();
+  const { key, url } = await driver.put(buffer, { folder, contentType });
+  return { key, url, driver: driver.name };
+};
+
+/**
+ * PUT MANY: Store several files ([{ buffer, contentType }])
+ * All or nothing - if one fails, the ones already stored are removed.
+ */
+const putMany = async (files, { folder } = {}) => {
+  const results = await Promise.allSettled(
+    files.map(file => put(file.buffer, { folder, contentType: file.contentType }))
+  );
+
+  const failed = results.find(r => r.status === 'rejected');
+
+  if (failed) {
+    await Promise.all(results
+      .map((r, i) => r.status === 'fulfilled' && remove(r.value.key, {
+        driver: r.value.driver,
+        type: mediaType(files[i].contentType)
+      }).catch(() => {})));
+    throw failed.reason;
+  }
+
+  return results.map(r => r.value);
+};
+
+/**
+ * DELETE: Remove a stored file
+ * type: 'image' (default) or 'video' - Cloudinary files them separately
+ */
+const remove = (key, { driver = LEGACY_DRIVER, type } = {}) => {
+  return getDriver(driver).delete(key, { type });
+};
+
+/**
+ * GET URL: Public URL of a stored file
+ */
+const getUrl = (key, { driver = LEGACY_DRIVER, type } = {}) => {
+  return getDriver(driver).getUrl(key, { type });
+};
+
+module.exports = {
+  put,
+  putMany,
+  delete: remove,
+  getUrl,
+  driverName: getDriver().name
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY AN INTERFACE?
+ * - Routes just call storage.put(buffer) - they don't care where it goes
+ * - Cloudinary for production, local disk for offline development,
+ *   tests, or cities that host everything themselves
+ * - Switch with STORAGE_DRIVER=cloudinary | local in .env
+ *
+ * KEYS:
+ * - Cloudinary: the public_id ('clean-city/complaints/abc123')
+ * - Local: the file path below the uploads folder ('complaints/<uuid>.jpg')
+ * - Stored as photo.publicId, with photo.storage = driver name
+ *
+ * ADDING A DRIVER (e.g. S3):
+ * - Create s3Driver.js exporting { name, put, delete, getUrl }
+ *   (put gets { folder, contentType }; delete/getUrl get { type })
+ * - Add it to the drivers list above
+ */
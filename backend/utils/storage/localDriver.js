@@ -0,0 +1,74 @@
+// ================================
+// LOCAL DISK STORAGE DRIVER
+// ================================
+// Stores media in a folder on this server (served by server.js at /uploads)
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { LOCAL_STORAGE_DIR, LOCAL_PUBLIC_URL } = require('../../config/storage');
+
+// File extension for each accepted content type
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov'
+};
+
+/**
+ * RESOLVE A KEY TO A FILE PATH
+ * Keys are generated by us, but never trust them to stay inside the folder
+ */
+const resolvePath = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * GET URL: Public URL of a stored file
+ */
+const getUrl = (key) => {
+  return `${LOCAL_PUBLIC_URL}/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+/**
+ * PUT: Write a buffer to disk, returns { key, url }
+ * key = '<folder>/<random name>.<ext>'
+ */
+const put = async (buffer, { folder = 'complaints', contentType } = {}) => {
+  const extension = EXTENSIONS[contentType] || 'bin';
+  const key = `${folder}/${crypto.randomUUID()}.${extension}`;
+  const filePath = resolvePath(key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer, { flag: 'wx' });
+
+  return { key, url: getUrl(key) };
+};
+
+/**
+ * DELETE: Remove a stored file (already gone is fine)
+ */
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolvePath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  delete: remove,
+  getUrl
+};
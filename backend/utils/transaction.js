@@ -0,0 +1,125 @@
+// ================================
+// DATABASE TRANSACTION UTILITY
+// ================================
+// Runs several database writes as one all-or-nothing unit
+
+const mongoose = require('mongoose');
+
+// Cached answer to "does this MongoDB support transactions?"
+let transactionsSupported;
+
+// session → functions to run once its transaction has committed
+const afterCommitCallbacks = new WeakMap();
+
+/**
+ * CHECK TRANSACTION SUPPORT
+ * Transactions need a replica set (Atlas always is one) or a sharded cluster.
+ * A plain local mongod is standalone and cannot run them.
+ * Set MONGO_TRANSACTIONS=false to force the fallback.
+ */
+const supportsTransactions = async () => {
+  if (process.env.MONGO_TRANSACTIONS === 'false') return false;
+
+  if (transactionsSupported === undefined) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      console.error('Transaction support check failed:', error.message);
+      transactionsSupported = false;
+    }
+
+    if (!transactionsSupported) {
+      console.warn('⚠️  MongoDB is standalone: multi-document writes run without transactions');
+    }
+  }
+
+  return transactionsSupported;
+};
+
+/**
+ * RUN IN TRANSACTION
+ * Calls work(session) inside a transaction and retries it on
+ * transient errors (e.g. two admins approving the same complaint).
+ *
+ * On a standalone server work(null) runs once without a transaction,
+ * so every step inside work must be safe to repeat: the caller can
+ * simply send the same request again to finish a half-done change.
+ */
+const runInTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+
+  // connection.transaction() also resets document state between retries
+  let result;
+  let callbacks;
+  await mongoose.connection.transaction(async (session) => {
+    // A retried attempt starts over, so drop what the failed one registered
+    callbacks = [];
+    afterCommitCallbacks.set(session, callbacks);
+    result = await work(session);
+  });
+
+  for (const callback of callbacks) {
+    try {
+      callback();
+    } catch (error) {
+      console.error('After-commit callback failed:', error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * AFTER COMMIT
+ * Runs fn once the session's transaction has committed (never if it
+ * rolls back). Without a transaction the write is already done, so fn
+ * runs right away. For side effects outside the database, e.g. live feeds.
+ */
+const afterCommit = (session, fn) => {
+  const callbacks = session && afterCommitCallbacks.get(session);
+
+  if (callbacks) {
+    callbacks.push(fn);
+  } else {
+    fn();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+  supportsTransactions,
+  afterCommit
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * WHY TRANSACTIONS?
+ * Approving a complaint changes 3 things:
+ * 1. Complaint → approved
+ * 2. User → +points, +stats, maybe a badge
+ * 3. Points ledger → new 'earn' row
+ * If the server crashes after step 1, the user never gets points.
+ * A transaction makes all 3 happen, or none.
+ *
+ * SESSION:
+ * - Every query inside the transaction must use the same session
+ * - Model.findById(id).session(session)
+ * - Model.create([doc], { session })
+ * - Documents loaded with a session save with it automatically
+ *
+ * STANDALONE FALLBACK:
+ * - session is null, writes happen one by one
+ * - Ledger rows use an idempotencyKey so a retry never pays twice
+ *
+ * USAGE:
+ * const complaint = await runInTransaction(async (session) => {
+ *   const c = await Complaint.findById(id).session(session);
+ *   ...
+ *   await c.save();
+ *   return c;
+ * });
+ */
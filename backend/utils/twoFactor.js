@@ -0,0 +1,195 @@
+// ================================
+// TWO-FACTOR LOGIN UTILITY
+// ================================
+// Authenticator app codes (TOTP, RFC 6238), recovery codes and the login challenge:
+//   generateSecret, otpauthUri, matchTotp, generateRecoveryCodes,
+//   verifySecondFactor, createLoginChallenge, readLoginChallenge
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const httpError = require('./httpError');
+const {
+  TOTP_ISSUER,
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  TOTP_DRIFT_STEPS,
+  RECOVERY_CODE_COUNT,
+  TWO_FACTOR_LOGIN_MINUTES
+} = require('../config/auth');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * BASE32 (how authenticator apps expect the secret)
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * NEW SECRET: 160 random bits, base32 (typed in or scanned by the app)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * OTPAUTH URI: what the setup QR code contains
+ * otpauth://totp/Issuer:email?secret=...&issuer=...
+ */
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * CODE FOR A TIME STEP (HOTP, RFC 4226)
+ */
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(number % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * CHECK A CODE
+ * Returns the time step it belongs to (so it can be used only once), or null
+ */
+const matchTotp = (secret, code, now = Date.now()) => {
+  const entered = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d+$/.test(entered) || entered.length !== TOTP_DIGITS) return null;
+
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(entered))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * NEW RECOVERY CODES
+ * Returns { codes (show once), stored (hashes for the user document) }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: User.hashToken(normalizeRecoveryCode(code)) }))
+  };
+};
+
+/**
+ * CHECK THE SECOND FACTOR
+ * user: needs +twoFactor.secret selected
+ * Either an app code or a recovery code; both work only once.
+ * Returns 'totp', 'recovery' or null
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const used = await User.useRecoveryCode(user._id, User.hashToken(normalizeRecoveryCode(recoveryCode)));
+    return used ? 'recovery' : null;
+  }
+
+  const step = matchTotp(user.twoFactor && user.twoFactor.secret, code);
+  if (step === null) return null;
+
+  // The same code sent twice (replayed) only counts once
+  return (await User.useTotpStep(user._id, step)) ? 'totp' : null;
+};
+
+/**
+ * LOGIN CHALLENGE: proves the password step passed, for TWO_FACTOR_LOGIN_MINUTES
+ * Not an access token - it names no session, so protect rejects it
+ */
+const createLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: 'two_factor_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR_LOGIN_MINUTES}m` }
+  );
+};
+
+/**
+ * READ A LOGIN CHALLENGE → user id
+ */
+const readLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+    if (decoded.purpose !== 'two_factor_login') throw new Error('Wrong token type');
+    return decoded.id;
+  } catch (error) {
+    throw httpError('Login expired, please enter your password again', 401);
+  }
+};
+
+module.exports = {
+  generateSecret,
+  otpauthUri,
+  matchTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * HOW THE CODES WORK (TOTP):
+ * - Server and phone share a secret (the QR code at setup)
+ * - Both compute HMAC(secret, current 30-second step) → 6 digits
+ * - Same secret + same time = same code, without any network connection
+ *
+ * LOGIN WITH TWO-FACTOR:
+ * 1. POST /api/auth/login (email + password) → { twoFactorRequired, challengeToken }
+ * 2. POST /api/auth/2fa/login (challengeToken + code) → the usual login tokens
+ *
+ * RECOVERY CODES:
+ * - 10 codes shown once at setup; each replaces one app code, once
+ * - Only their hashes are stored, like passwords
+ */
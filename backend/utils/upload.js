@@ -0,0 +1,110 @@
+// ================================
+// FILE UPLOAD MIDDLEWARE (Multer)
+// ================================
+// Receives uploaded photos/videos; utils/storage decides where they are kept
+
+const multer = require('multer');
+const {
+  MAX_MEDIA_ITEMS,
+  MAX_VIDEOS,
+  IMAGE_MAX_MB,
+  VIDEO_MAX_MB,
+  VIDEO_TYPES
+} = require('../config/media');
+
+/**
+ * MULTER CONFIGURATION
+ * Multer handles file uploads from frontend
+ * We store files in memory (RAM) temporarily
+ */
+const storage = multer.memoryStorage();
+
+// File filter - only allow images (and short MP4/MOV clips if videos are enabled)
+const fileFilter = (req, file, cb) => {
+  const isVideo = MAX_VIDEOS > 0 && VIDEO_TYPES.includes(file.mimetype);
+
+  // Check if file is an image or allowed video
+  if (file.mimetype.startsWith('image/') || isVideo) {
+    cb(null, true); // Accept file
+  } else {
+    cb(new Error(MAX_VIDEOS > 0
+      ? 'Only image files and MP4/MOV videos are allowed!'
+      : 'Only image files are allowed!'), false); // Reject file
+  }
+};
+
+// Create multer upload instance
+// (per-type limits - 5MB photos, longer videos - are checked in utils/media.js)
+const multerUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: (MAX_VIDEOS > 0 ? Math.max(IMAGE_MAX_MB, VIDEO_MAX_MB) : IMAGE_MAX_MB) * 1024 * 1024,
+    files: MAX_MEDIA_ITEMS
+  },
+  fileFilter: fileFilter
+});
+
+// Files arrive as "media" (several) or "photo" (one, older clients)
+const mediaFields = multerUpload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'media', maxCount: MAX_MEDIA_ITEMS }
+]);
+
+/**
+ * UPLOAD MEDIA MIDDLEWARE
+ * Like upload.single('photo'), but for up to MAX_MEDIA_ITEMS files.
+ * Bad uploads (too big, too many, wrong type) are the client's fault → 400
+ */
+const uploadMedia = (req, res, next) => {
+  mediaFields(req, res, (error) => {
+    if (error) {
+      error.status = error.status || 400;
+    }
+    next(error);
+  });
+};
+
+/**
+ * GET UPLOADED FILES IN ORDER
+ * "photo" first, then the "media" files in the order they were sent
+ */
+const getUploadedFiles = (req) => {
+  const files = req.files || {};
+  return [...(files.photo || []), ...(files.media || [])];
+};
+
+module.exports = { uploadMedia, getUploadedFiles };
+
+/**
+ * BEGINNER EXPLANATION:
+ * 
+ * HOW IMAGE UPLOAD WORKS:
+ * 
+ * 1. Frontend sends photos (and maybe a short video) as "media" fields
+ * 2. Multer receives them in memory (RAM)
+ * 3. We convert to buffer (raw data)
+ * 4. utils/media.js checks them, makes thumbnails
+ * 5. storage.putMany(buffers) saves them (Cloudinary or local disk)
+ * 6. We save the URLs in MongoDB (complaint.media[])
+ * 
+ * FILE FLOW:
+ * User's Computer → Multer (RAM) → Storage (Cloudinary / disk) → URL in Database
+ * 
+ * MULTER:
+ * - Middleware to handle multipart/form-data (file uploads)
+ * - memoryStorage = stores file in RAM temporarily
+ * - fileFilter = checks if file is valid image (or MP4/MOV video)
+ * - fields() = accepts several files under one name
+ * 
+ * BUFFER:
+ * - Raw binary data of file
+ * - Like: <Buffer 89 50 4e 47 0d 0a 1a 0a...>
+ * 
+ * USAGE EXAMPLE IN ROUTE:
+ * router.post('/upload', uploadMedia, async (req, res) => {
+ *   const files = getUploadedFiles(req);   // [{ buffer, mimetype, size, ... }]
+ *   const items = await inspectMedia(files);
+ *   const media = await storeMedia(items, { folder: 'complaints' });
+ *   res.json({ media });
+ * });
+ */
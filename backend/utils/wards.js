@@ -0,0 +1,120 @@
+// ================================
+// WARD UTILITIES
+// ================================
+// GeoJSON import, complaint routing and ward-scoped access
+
+const Ward = require('../models/Ward');
+const httpError = require('./httpError');
+
+/**
+ * IMPORT WARDS FROM GEOJSON
+ * Accepts a FeatureCollection; each Polygon/MultiPolygon feature
+ * becomes a ward. Existing wards (same code) are updated.
+ *
+ * Options name which feature properties hold the ward name and code,
+ * since every city's file uses different keys.
+ */
+const importWardsFromGeoJSON = async (geojson, {
+  nameProperty = 'name',
+  codeProperty = 'code',
+  city
+} = {}) => {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw httpError('Expected a GeoJSON FeatureCollection');
+  }
+
+  const result = { created: 0, updated: 0, skipped: [] };
+
+  for (const [index, feature] of geojson.features.entries()) {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry;
+    const name = properties[nameProperty];
+    const code = properties[codeProperty] || name;
+
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      result.skipped.push({ index, reason: 'Geometry must be Polygon or MultiPolygon' });
+      continue;
+    }
+
+    if (!name) {
+      result.skipped.push({ index, reason: `Missing "${nameProperty}" property` });
+      continue;
+    }
+
+    try {
+      const existing = await Ward.findOne({ code: String(code).toUpperCase() });
+      const ward = existing || new Ward({ code });
+
+      ward.name = name;
+      ward.boundary = { type: geometry.type, coordinates: geometry.coordinates };
+      if (city) ward.city = city;
+
+      // MongoDB rejects invalid polygons (self-intersecting, not closed...)
+      await ward.save();
+
+      result[existing ? 'updated' : 'created'] += 1;
+    } catch (error) {
+      result.skipped.push({ index, code, reason: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * ARE SERVICE AREAS SET UP?
+ * Until a city imports its wards, complaints are accepted anywhere
+ */
+const hasServiceAreas = async () => {
+  return Boolean(await Ward.exists({ isActive: true }));
+};
+
+/**
+ * WARD SCOPE FOR A USER
+ * Staff assigned to a ward only ever see that ward.
+ * Everyone else may pick a ward with ?ward=<id>.
+ */
+const wardScope = (user, requestedWard) => {
+  if (user.ward) return user.ward;
+  return requestedWard || null;
+};
+
+/**
+ * MAY A USER ACT ON A COMPLAINT?
+ * Users tied to a ward only act on that ward's complaints
+ */
+const hasWardAccess = (user, complaint) => {
+  return !user.ward || Boolean(complaint.ward && complaint.ward.toString() === user.ward.toString());
+};
+
+/**
+ * CHECK A USER MAY ACT ON A COMPLAINT
+ * Throws 403 if the user is tied to a different ward
+ */
+const assertWardAccess = (user, complaint) => {
+  if (!hasWardAccess(user, complaint)) {
+    throw httpError('This complaint belongs to another ward', 403);
+  }
+};
+
+module.exports = {
+  importWardsFromGeoJSON,
+  hasServiceAreas,
+  wardScope,
+  hasWardAccess,
+  assertWardAccess
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * ROUTING A COMPLAINT:
+ * 1. Citizen reports garbage at [77.21, 28.62]
+ * 2. Ward.findByPoint finds the polygon containing it
+ * 3. complaint.ward = that ward
+ * 4. No ward found → outside service area → rejected
+ *
+ * WARD SCOPE:
+ * - A ward officer with user.ward set sees only that ward's queue
+ * - Staff without a ward (city-wide admins) see everything
+ */
@@ -0,0 +1,282 @@
+// ================================
+// WEBHOOK UTILITY
+// ================================
+// Tells other city systems about complaint and redemption events:
+//   emitWebhookEvent, processWebhookQueue, sendPing, redeliver
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  PING_EVENT,
+  TIMEOUT_MS,
+  MAX_ATTEMPTS,
+  SENDING_TIMEOUT_MINUTES,
+  retryDelayMinutes
+} = require('../config/webhooks');
+
+const SIGNATURE_HEADER = 'X-CleanCity-Signature';
+
+/**
+ * NEW SECRET (shown to the admin once)
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * SIGN A PAYLOAD
+ * Header value "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">"
+ * The timestamp is signed too, so an old request cannot be replayed later
+ */
+const sign = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * PAYLOAD DATA
+ * Only what other departments need - no reporter details, no voucher codes
+ */
+const serializers = {
+  Complaint: (complaint) => ({
+    id: complaint._id,
+    status: complaint.status,
+    category: complaint.category,
+    priority: complaint.priority,
+    description: complaint.description,
+    location: {
+      coordinates: complaint.location?.coordinates,
+      address: complaint.location?.address
+    },
+    ward: complaint.ward,
+    issue: complaint.issue,
+    rejectionReason: complaint.rejectionReason,
+    cleanedAt: complaint.cleanupProof?.uploadedAt,
+    createdAt: complaint.createdAt,
+    updatedAt: complaint.updatedAt
+  }),
+
+  Redeem: (redeem) => ({
+    id: redeem._id,
+    status: redeem.status,
+    rewardType: redeem.rewardType,
+    rewardValue: redeem.rewardValue,
+    pointsRedeemed: redeem.pointsRedeemed,
+    rejectionReason: redeem.rejectionReason,
+    reviewedAt: redeem.reviewedAt,
+    createdAt: redeem.createdAt
+  })
+};
+
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+/**
+ * EMIT AN EVENT
+ * doc: the complaint or redemption it is about
+ * Queues one delivery per active webhook subscribed to the event.
+ * Pass { session } to queue them in the same transaction as the change.
+ */
+const emitWebhookEvent = async (event, doc, { session = null } = {}) => {
+  const webhooks = await Webhook.find({ isActive: true, events: event })
+    .select('_id')
+    .session(session);
+
+  if (webhooks.length === 0) return [];
+
+  const data = serializers[doc.constructor.modelName](doc);
+
+  // Same event id for every receiver
+  const payload = JSON.parse(JSON.stringify(buildPayload(event, data)));
+
+  return WebhookDelivery.insertMany(
+    webhooks.map(webhook => ({ webhook: webhook._id, event, payload })),
+    { session }
+  );
+};
+
+/**
+ * SEND ONE DELIVERY
+ * retry: false for pings (the admin is watching and can simply try again)
+ */
+const deliver = async (delivery, { now = new Date(), retry = true } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  // Webhook deleted or paused after the event was queued
+  if (!webhook || (!webhook.isActive && delivery.event !== PING_EVENT)) {
+    delivery.set({ status: 'failed', lockedAt: undefined, lastError: 'Webhook deleted or paused' });
+    await delivery.save();
+    return 'failed';
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  let result;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CleanCityRewards-Webhooks/1.0',
+        'X-CleanCity-Event': delivery.event,
+        'X-CleanCity-Delivery': delivery._id.toString(),
+        [SIGNATURE_HEADER]: sign(webhook.secret, body)
+      },
+      body,
+      redirect: 'manual',                   // A redirect is an answer, not a delivery
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    const responseBody = (await response.text().catch(() => '')).slice(0, 1000);
+
+    result = {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody,
+      lastError: response.status >= 200 && response.status < 300 ? undefined : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    result = {
+      ok: false,
+      responseStatus: undefined,
+      responseBody: undefined,
+      lastError: error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS} ms` : error.message
+    };
+  }
+
+  const giveUp = !result.ok && (!retry || delivery.attempts >= MAX_ATTEMPTS);
+  const status = result.ok ? 'delivered' : giveUp ? 'failed' : 'queued';
+
+  delivery.set({
+    status,
+    responseStatus: result.responseStatus,
+    responseBody: result.responseBody,
+    lastError: result.lastError,
+    durationMs: Date.now() - started,
+    lockedAt: undefined,
+    deliveredAt: result.ok ? new Date() : undefined,
+    nextAttemptAt: status === 'queued'
+      ? new Date(now.getTime() + retryDelayMinutes(delivery.attempts) * 60 * 1000)
+      : delivery.nextAttemptAt
+  });
+  await delivery.save();
+
+  webhook.lastDelivery = {
+    at: new Date(),
+    status: result.ok ? 'delivered' : 'failed',
+    responseStatus: result.responseStatus
+  };
+  await webhook.save();
+
+  return result.ok ? 'delivered' : giveUp ? 'failed' : 'retried';
+};
+
+/**
+ * CLAIM THE NEXT DUE DELIVERY
+ * Atomic, so two servers never send the same delivery.
+ * Deliveries stuck in "sending" (server stopped mid-send) are picked up again.
+ */
+const claimNext = (now) => {
+  const staleBefore = new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * SEND DUE DELIVERIES
+ * Called by the scheduler every few seconds
+ */
+const processWebhookQueue = async (now = new Date(), batchSize = 50) => {
+  const result = { delivered: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < batchSize; i++) {
+    const delivery = await claimNext(now);
+    if (!delivery) break;
+
+    result[await deliver(delivery, { now })] += 1;
+  }
+
+  return result;
+};
+
+/**
+ * PING: Send a test event right away and return the logged delivery
+ */
+const sendPing = async (webhook) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: PING_EVENT,
+    payload: JSON.parse(JSON.stringify(buildPayload(PING_EVENT, {
+      webhook: { id: webhook._id, name: webhook.name, events: webhook.events }
+    }))),
+    status: 'sending',
+    attempts: 1,
+    lockedAt: new Date()
+  });
+
+  await deliver(delivery, { retry: false });
+  return delivery;
+};
+
+/**
+ * REDELIVER: Send a logged delivery again (same payload, new log entry)
+ * Tried right away; if that fails it is retried like any other delivery
+ */
+const redeliver = async (original) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: original.webhook,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    status: 'sending',
+    attempts: 1,
+    lockedAt: new Date()
+  });
+
+  await deliver(delivery, { retry: original.event !== PING_EVENT });
+  return delivery;
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  emitWebhookEvent,
+  processWebhookQueue,
+  sendPing,
+  redeliver,
+  SIGNATURE_HEADER
+};
+
+/**
+ * BEGINNER EXPLANATION:
+ *
+ * FLOW:
+ * 1. Admin approves a complaint → emitWebhookEvent('complaint.approved', complaint)
+ *    saves one WebhookDelivery per subscribed webhook (fast, same transaction)
+ * 2. Every few seconds the scheduler calls processWebhookQueue()
+ * 3. Each delivery is POSTed as JSON; a 2xx answer = delivered,
+ *    anything else is retried after 1, 2, 4, 8 ... minutes
+ *
+ * CHECKING THE SIGNATURE (receiver side, Node.js):
+ *   const [t, v1] = header.split(',').map(part => part.split('=')[1]);
+ *   const expected = crypto.createHmac('sha256', SECRET)
+ *     .update(`${t}.${rawBody}`).digest('hex');
+ *   valid if expected === v1 and t is less than ~5 minutes old
+ *
+ * DUPLICATES:
+ * - A retry after a timeout may arrive twice; payload.id stays the same,
+ *   so receivers can ignore an id they already handled
+ */